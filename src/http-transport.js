@@ -0,0 +1,242 @@
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { ErrorCode, isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import fs from 'fs/promises';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Optional Streamable HTTP (and legacy SSE) transport, so one library and
+// cache can serve many clients. Started with --http or CLIMBING_TRANSPORT=http;
+// the bind address, port and bearer tokens are read from the config file,
+// and CLIMBING_HTTP_HOST and CLIMBING_HTTP_PORT override the address.
+export const HTTP_CONFIG = {
+  ENABLED: process.argv.includes('--http') || process.env.CLIMBING_TRANSPORT === 'http',
+  CONFIG_FILE: process.env.CLIMBING_HTTP_CONFIG || path.join(__dirname, '..', 'http-config.json'),
+  DEFAULT_HOST: '127.0.0.1',      // Loopback only unless the config file says otherwise
+  DEFAULT_PORT: 3000,
+  MCP_PATH: '/mcp',               // Streamable HTTP endpoint
+  SSE_PATH: '/sse',               // Legacy SSE stream
+  SSE_MESSAGES_PATH: '/messages', // Legacy SSE client-to-server messages
+  MAX_BODY_BYTES: 1024 * 1024,    // Largest JSON-RPC request body accepted
+  SESSION_IDLE_MS: 30 * 60 * 1000, // Sessions with no requests for this long are closed
+  SESSION_SWEEP_MS: 60 * 1000,    // How often idle sessions are looked for
+};
+
+// Serves one MCP server per session over HTTP; createServer builds each one
+export class HttpTransport {
+  constructor(createServer) {
+    this.createServer = createServer;
+    this.httpSessions = new Map();
+  }
+
+  async loadHttpConfig() {
+    let config = {};
+    try {
+      config = JSON.parse(await fs.readFile(HTTP_CONFIG.CONFIG_FILE, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read HTTP config ${HTTP_CONFIG.CONFIG_FILE}: ${error.message}`);
+      }
+    }
+
+    const host = process.env.CLIMBING_HTTP_HOST || config.host || HTTP_CONFIG.DEFAULT_HOST;
+    const port = Number(process.env.CLIMBING_HTTP_PORT ?? config.port ?? HTTP_CONFIG.DEFAULT_PORT);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid HTTP port: ${process.env.CLIMBING_HTTP_PORT ?? config.port}`);
+    }
+
+    // Only digests are kept, and compared in constant time
+    const tokens = (config.tokens || []).map((entry, index) => {
+      const name = entry?.name || `token ${index + 1}`;
+      if (typeof entry?.token !== 'string' || entry.token.length < 16) {
+        throw new Error(`Bearer token "${name}" in ${HTTP_CONFIG.CONFIG_FILE} must be a string of at least 16 characters`);
+      }
+      return { name, digest: createHash('sha256').update(entry.token).digest() };
+    });
+    if (tokens.length === 0 && !this.isLoopbackHost(host)) {
+      throw new Error(`Refusing to listen on ${host} without bearer tokens. Add tokens to ${HTTP_CONFIG.CONFIG_FILE}.`);
+    }
+
+    return { host, port, tokens };
+  }
+
+  isLoopbackHost(host) {
+    return ['localhost', '127.0.0.1', '::1', '[::1]'].includes(host.toLowerCase());
+  }
+
+  authenticateHttpRequest(req, tokens) {
+    // Without tokens only loopback clients can reach the server (see loadHttpConfig)
+    if (tokens.length === 0) return 'local';
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+    const digest = createHash('sha256').update(match[1]).digest();
+    return tokens.find(entry => timingSafeEqual(entry.digest, digest))?.name || null;
+  }
+
+  sendHttpError(res, status, code, message, headers = {}) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+  }
+
+  async readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > HTTP_CONFIG.MAX_BODY_BYTES) {
+        throw Object.assign(new Error(`Request body is larger than ${HTTP_CONFIG.MAX_BODY_BYTES} bytes`), { status: 413, code: ErrorCode.InvalidRequest });
+      }
+      chunks.push(chunk);
+    }
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw Object.assign(new Error(`Parse error: ${error.message}`), { status: 400, code: ErrorCode.ParseError });
+    }
+  }
+
+  addHttpSession(sessionId, transport, server, tokenName) {
+    this.httpSessions.set(sessionId, { transport, server, tokenName, openRequests: 0, lastActivity: Date.now() });
+  }
+
+  useHttpSession(sessionId, tokenName, transportClass, res) {
+    // Sessions can only be used with the token that opened them
+    const session = this.httpSessions.get(sessionId);
+    if (!session || session.tokenName !== tokenName || !(session.transport instanceof transportClass)) return null;
+    this.trackHttpRequest(session, res);
+    return session;
+  }
+
+  trackHttpRequest(session, res) {
+    // Sessions with an open stream are never idle, however long they wait for notifications
+    session.openRequests++;
+    session.lastActivity = Date.now();
+    res.on('close', () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  }
+
+  closeIdleHttpSessions() {
+    const cutoff = Date.now() - HTTP_CONFIG.SESSION_IDLE_MS;
+    this.httpSessions.forEach((session, sessionId) => {
+      if (session.openRequests > 0 || session.lastActivity > cutoff) return;
+      this.httpSessions.delete(sessionId);
+      session.server.close()
+        .catch(error => console.error(`Could not close idle session ${sessionId}: ${error.message}`));
+    });
+  }
+
+  async handleHttpRequest(req, res, config) {
+    const url = new URL(req.url, 'http://localhost');
+    // A tokenless server trusts loopback clients, so refuse other Host names
+    // to keep web pages from reaching it through DNS rebinding
+    if (config.tokens.length === 0) {
+      const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+      if (!this.isLoopbackHost(hostname)) {
+        this.sendHttpError(res, 403, ErrorCode.InvalidRequest, `Host ${hostname || '(none)'} is not allowed`);
+        return;
+      }
+    }
+
+    const tokenName = this.authenticateHttpRequest(req, config.tokens);
+    if (!tokenName) {
+      this.sendHttpError(res, 401, ErrorCode.InvalidRequest, 'Missing or invalid bearer token', {
+        'WWW-Authenticate': 'Bearer realm="climbing-resources"'
+      });
+      return;
+    }
+
+    if (url.pathname === HTTP_CONFIG.MCP_PATH) {
+      await this.handleStreamableHttpRequest(req, res, tokenName);
+    } else if (url.pathname === HTTP_CONFIG.SSE_PATH && req.method === 'GET') {
+      await this.openSseSession(res, tokenName);
+    } else if (url.pathname === HTTP_CONFIG.SSE_MESSAGES_PATH && req.method === 'POST') {
+      const session = this.useHttpSession(url.searchParams.get('sessionId'), tokenName, SSEServerTransport, res);
+      if (!session) {
+        this.sendHttpError(res, 404, ErrorCode.InvalidRequest, 'Session not found');
+        return;
+      }
+      await session.transport.handlePostMessage(req, res, await this.readJsonBody(req));
+    } else {
+      this.sendHttpError(res, 404, ErrorCode.MethodNotFound, `No MCP endpoint at ${req.method} ${url.pathname}`);
+    }
+  }
+
+  async handleStreamableHttpRequest(req, res, tokenName) {
+    const body = req.method === 'POST' ? await this.readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const session = this.useHttpSession(sessionId, tokenName, StreamableHTTPServerTransport, res);
+      if (!session) {
+        this.sendHttpError(res, 404, ErrorCode.InvalidRequest, 'Session not found');
+        return;
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      this.sendHttpError(res, 400, ErrorCode.InvalidRequest, 'No session ID given; start a session with an initialize request');
+      return;
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        this.addHttpSession(newSessionId, transport, server, tokenName);
+        this.trackHttpRequest(this.httpSessions.get(newSessionId), res);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) this.httpSessions.delete(transport.sessionId);
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+    // A rejected initialize request never opens a session, so nothing else
+    // would ever close its server
+    if (!transport.sessionId) await server.close();
+  }
+
+  async openSseSession(res, tokenName) {
+    const server = this.createServer();
+    const transport = new SSEServerTransport(HTTP_CONFIG.SSE_MESSAGES_PATH, res);
+    transport.onclose = () => this.httpSessions.delete(transport.sessionId);
+    this.addHttpSession(transport.sessionId, transport, server, tokenName);
+    this.trackHttpRequest(this.httpSessions.get(transport.sessionId), res);
+    await server.connect(transport);
+  }
+
+  async startHttpServer() {
+    const config = await this.loadHttpConfig();
+    const httpServer = http.createServer((req, res) => {
+      this.handleHttpRequest(req, res, config).catch(error => {
+        if (!error.status) console.error(`Error handling ${req.method} ${req.url}:`, error);
+        this.sendHttpError(res, error.status || 500, error.code ?? ErrorCode.InternalError, error.status ? error.message : 'Internal server error');
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(config.port, config.host, resolve);
+    });
+    setInterval(() => this.closeIdleHttpSessions(), HTTP_CONFIG.SESSION_SWEEP_MS).unref();
+
+    const { port } = httpServer.address();
+    const host = config.host.includes(':') ? `[${config.host}]` : config.host;
+    console.error(`Climbing Resources MCP server listening on http://${host}:${port}${HTTP_CONFIG.MCP_PATH} (legacy SSE at ${HTTP_CONFIG.SSE_PATH})`);
+    if (config.tokens.length === 0) {
+      console.error(`No bearer tokens in ${HTTP_CONFIG.CONFIG_FILE}; only clients on this machine can connect`);
+    }
+    return httpServer;
+  }
+}
@@ -1,27 +1,286 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs/promises';
+import { watch, realpathSync } from 'fs';
+import { availableParallelism, hostname } from 'os';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import PDF2JSON from 'pdf2json';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createRequire } from 'module';
+import { createHash, randomUUID } from 'crypto';
+import { Worker, isMainThread, parentPort, threadId } from 'worker_threads';
 import { PdfReader } from 'pdfreader';
+import { fitLsaModel, projectLsaTerms, dotProduct } from './lsa.js';
+import { HTTP_CONFIG, HttpTransport } from './http-transport.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+// Loaded the way pdfreader loads it, so both share one pdf2json instance; two
+// instances fight over the log verbosity they both keep on node:util
+const PDF2JSON = require('pdf2json');
 const BOOKS_DIR = path.join(__dirname, '..', 'Books');
 const EXTRACTED_DIR = path.join(__dirname, '..', 'extracted_content');
+const SEARCH_INDEX_FILE = path.join(EXTRACTED_DIR, 'search-index.json');
+const EMBEDDING_MODEL_FILE = path.join(EXTRACTED_DIR, 'embedding-model.json');
+const EXTRACTION_JOURNAL_FILE = path.join(EXTRACTED_DIR, 'extract-library-journal.json');
+const VECTORS_FILE_SUFFIX = '.vectors.json';
 
 // Content extraction and delivery limits
 const EXTRACTION_CONFIG = {
   MAX_RESPONSE_SIZE: 800000,      // 800KB max response
-  CHUNK_SIZE: 150000,             // 150KB per chunk 
+  CHUNK_SIZE: 1500,               // Target characters per chunk (books can set their own chunkSize)
+  CHUNK_OVERLAP: 150,             // Characters of the previous chunk repeated at the start of the next
+  MIN_SECTION_CHUNK_RATIO: 0.25,  // Shorter sections share a chunk with a following sibling or subsection
+  PARAGRAPH_END_RATIO: 0.85,      // Sentence-ending lines shorter than this share of a full line end a paragraph
+  CHUNKING_VERSION: 2,            // Caches chunked under another version are re-chunked on load
+  EXTRACTOR_VERSION: 2,           // Caches from another version, or older caches without one, are re-extracted from their PDF on read
   CONTEXT_WINDOW: 500,            // Characters around search matches
 };
 
-class ClimbingResourcesServer {
+// Thresholds for rebuilding words and lines from glyph positions (page units)
+const LAYOUT_CONFIG = {
+  LINE_TOLERANCE: 0.3,            // Max baseline drift within one line
+  SPACE_GAP_RATIO: 0.3,           // Gap (in median char widths) that starts a new word
+  BLOCK_GAP_RATIO: 4,             // Gap (in median char widths) that splits a line into blocks
+  MIN_SCALE_SAMPLES: 3,           // Glyph pairs needed to trust a width scale estimate
+  EXTENT_SCALE_PERCENTILE: 0.1,   // Advance/width ratio used to measure glyph extents for columns
+  FALLBACK_CHAR_WIDTH: 0.4,       // Assumed glyph width when no scale can be estimated
+  GUTTER_BIN_SIZE: 0.1,           // Resolution of the column coverage histogram
+  GUTTER_REGION: [0.15, 0.85],    // Part of the page width where gutters may appear
+  GUTTER_MAX_COVERAGE: 0.15,      // Share of rows allowed to cross a gutter (headings, figures)
+  MIN_GUTTER_WIDTH: 0.25,         // Narrowest empty strip that separates columns
+  MIN_ROWS_FOR_COLUMNS: 6,        // Pages with fewer rows are read top to bottom
+  MIN_COLUMN_ROWS: 0.2,           // Share of rows that must have text on each side of a gutter
+  BAND_GAP_RATIO: 2.5,            // Vertical gap (in line spacings) that starts a new band of columns
+  SIDEBAR_WIDTH_RATIO: 0.6,       // Columns narrower than this share of the main column are sidebars
+  SIDEBAR_FONT_RATIO: 0.9,        // Columns set smaller than this share of the main font are sidebars
+  RUNNING_LINE_DEPTH: 3,          // Lines from the top and bottom of a page checked for headers/footers
+  RUNNING_LINE_RATIO: 0.3,        // Share of pages a line must repeat on to count as a header/footer
+  RUNNING_TITLE_MIN_LETTERS: 8,   // Letters a numbered running line needs besides its page number
+};
+
+// Dictionary-driven repair of squashed and letter-spaced words
+const SEGMENTATION_CONFIG = {
+  MIN_WORD_COUNT: 3,              // Ignore frequency-list words rarer than this
+  MIN_SHORT_WORD_COUNT: 1000,     // Two-letter entries are mostly names and fragments below this
+  CLIMBING_WORD_RANK: 2000,       // Climbing terms cost as much as the 2000th most common word
+  UNKNOWN_WORD_PENALTY: 10,       // Extra cost of a word missing from the lexicon
+  PLAUSIBLE_WORD_LENGTH: 12,      // Unknown tokens longer than this are likely squashed words
+  LONG_WORD_CHAR_COST: 3,         // Extra cost per character beyond the plausible length
+  SPLIT_PENALTY: 6,               // Extra cost per word added by splitting a token
+  REPORT_LIMIT: 50,               // Unresolved words kept in each chapter report
+};
+
+// BM25F ranking over every extracted chunk in the library. Sidecar metadata
+// is scored as extra fields of each chunk in its chapter.
+const SEARCH_CONFIG = {
+  INDEX_VERSION: 2,               // Chapter search indexes built under another version are rebuilt on load
+  CORPUS_INDEX_VERSION: 3,        // The on-disk corpus index is rebuilt from the caches when this changes
+  BM25_K1: 1.2,                   // Term frequency saturation
+  FIELD_WEIGHTS: { body: 1, title: 3, keywords: 2, description: 1 },
+  FIELD_B: { body: 0.75, title: 0.5, keywords: 0.5, description: 0.5 },
+  MIN_TERM_LENGTH: 2,             // Shorter tokens are not indexed
+  QUERY_FIELDS: ['book', 'chapter', 'section', 'keyword'],  // Field prefixes accepted in queries
+  MATCHES_PER_CHAPTER: 2,         // Best chunks shown for each matching chapter
+  EXPANSION_WEIGHT: 0.8,          // Share of a query term's weight given to its thesaurus synonyms
+  FUZZY_WEIGHT: 0.7,              // Share of a misspelt word's weight given to its corrections
+  FUZZY_MIN_LENGTH: 4,            // Shorter words and acronyms are only matched exactly
+  FUZZY_LONG_WORD_LENGTH: 8,      // Words this long may be two edits from the vocabulary, shorter ones one
+  FUZZY_MAX_TERMS: 3,             // Corrections searched for each misspelt word
+  SUGGESTION_COUNT: 3,            // "Did you mean" queries offered when nothing matches
+  SUGGESTION_LENGTH_PER_EDIT: 3,  // Suggestions may be one edit per this many characters away (at least two)
+  SUGGESTION_MIN_FREQUENCY: 3,    // Chunks a term must occur in to be suggested, which skips OCR noise
+};
+
+// Semantic retrieval next to keyword search. The provider is chosen with
+// CLIMBING_EMBEDDINGS: 'lsa' (offline default), 'http', 'none' or the path
+// of a provider module.
+const EMBEDDING_CONFIG = {
+  PROVIDER: process.env.CLIMBING_EMBEDDINGS || 'lsa',
+  HTTP_URL: process.env.CLIMBING_EMBEDDING_URL,          // OpenAI-compatible embeddings endpoint
+  HTTP_MODEL: process.env.CLIMBING_EMBEDDING_MODEL,
+  HTTP_API_KEY: process.env.CLIMBING_EMBEDDING_API_KEY,
+  LSA_VERSION: 1,                 // Saved models fitted under another version are refitted
+  LSA_DIMENSIONS: 64,             // Latent dimensions kept from the term-chunk matrix
+  LSA_MAX_TERMS: 4000,            // Most widespread terms kept in the model
+  LSA_MIN_DOCUMENT_FREQUENCY: 2,  // Rarer terms carry no co-occurrence signal
+  LSA_OVERSAMPLING: 10,           // Extra random directions for the randomized SVD
+  LSA_POWER_ITERATIONS: 2,        // Sharpens the randomized SVD when singular values decay slowly
+  LSA_SEED: 20240601,             // Fixed seed so fits are reproducible
+  LSA_REFIT_GROWTH: 1.5,          // Refit once the library has this many times the chunks of the last fit
+  BATCH_SIZE: 64,                 // Texts sent to a provider per call
+  SEMANTIC_CANDIDATES: 50,        // Nearest chunks taken from the semantic side
+  MIN_SIMILARITY: 0.2,            // Weaker semantic matches are ignored
+  RRF_K: 60,                      // Reciprocal rank fusion damping
+  KEYWORD_WEIGHT: 1,              // Weight of the keyword ranking in hybrid results
+  SEMANTIC_WEIGHT: 1,             // Weight of the semantic ranking in hybrid results
+};
+
+// Books and chapters exposed as MCP resources:
+// climbing://<book>, climbing://<book>/<chapter>, .../pages/<from>-<to> and .../pdf
+const RESOURCE_CONFIG = {
+  URI_SCHEME: 'climbing',
+  NOT_FOUND_ERROR: -32002,        // JSON-RPC error code MCP uses for unknown resources
+};
+
+// Watching Books/ and extracted_content/ so clients hear about new chapters
+// and rebuilt caches. CLIMBING_WATCH=0 turns watching off and
+// CLIMBING_AUTO_EXTRACT=1 extracts new PDFs as they arrive.
+const WATCH_CONFIG = {
+  ENABLED: process.env.CLIMBING_WATCH !== '0',
+  AUTO_EXTRACT: process.env.CLIMBING_AUTO_EXTRACT === '1',
+  DEBOUNCE_MS: 1000,              // Quiet time before a changed file is handled, so copies can finish
+};
+
+// Bulk extraction by extract_library and `npm run extract-library`. Chapters
+// are extracted by a pool of worker threads, and a journal in
+// extracted_content/ lets an interrupted run resume where it stopped.
+// CLIMBING_EXTRACT_WORKERS sets the default pool size.
+const LIBRARY_EXTRACTION_CONFIG = {
+  DEFAULT_WORKERS: Number(process.env.CLIMBING_EXTRACT_WORKERS) || Math.max(1, Math.min(4, availableParallelism() - 1)),
+  MAX_WORKERS: 8,                 // Each worker holds a parsed PDF and the segmentation lexicon in memory
+};
+
+// Cross-process lock on each chapter's extraction, so servers and
+// extract_library workers sharing extracted_content/ never extract the same
+// chapter at once. Locks are <chapter>.lock files beside the caches.
+const LOCK_CONFIG = {
+  REFRESH_MS: 5000,               // How often the holder touches its lock file
+  STALE_MS: 30000,                // Locks untouched for this long were left by a crashed process
+  POLL_MS: 250,                   // How often an extraction waiting for a lock checks it again
+};
+
+// Completion of book, chapter and other arguments of prompts and resource
+// templates, and loose matching of book and chapter names given to tools
+const COMPLETION_CONFIG = {
+  MAX_VALUES: 100,                // Values MCP allows in one completion response
+  CHARS_PER_EDIT: 4,              // Typed text may be one edit per this many characters off (at least one)
+  CLOSEST_CANDIDATES: 3,          // Names suggested when a tool argument matches no book or chapter
+};
+
+// Prompts for recurring research workflows, which run their searches up
+// front and hand the model the results
+const PROMPT_CONFIG = {
+  RESULTS_PER_BOOK: 2,            // Chapters quoted from each book when explaining or comparing
+  RESULTS_PER_TOPIC: 2,           // Chapters quoted for each safety briefing topic
+  SAFETY_TOPICS: ['anchor building', 'belaying the leader', 'rappelling', 'retreat and bailing'],
+  DISCIPLINE_TOPICS: {
+    'sport': ['clipping bolts', 'lowering off', 'cleaning anchors'],
+    'trad': ['protection placement', 'multi-pitch transitions', 'rope drag'],
+    'alpine': ['rockfall', 'weather', 'moving together'],
+    'ice': ['ice screws', 'v-thread', 'ice quality'],
+    'mixed': ['dry tooling', 'ice screws', 'protection placement'],
+    'big wall': ['aid climbing', 'hauling', 'fixed gear'],
+  },
+};
+
+// JSON Schema pieces shared by the tools' output schemas
+const CITATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    full: { type: 'string', description: 'Full bibliographic citation' },
+    inline: { type: 'string', description: 'Inline citation, e.g. (Long et al., 2013, "SRENE Anchors")' },
+    short: { type: 'string', description: 'Short form for repeated citations of the same chapter' }
+  },
+  required: ['full', 'inline', 'short'],
+};
+const PAGE_RANGE_SCHEMA = {
+  type: 'object',
+  properties: { start: { type: 'integer' }, end: { type: 'integer' } },
+  required: ['start', 'end'],
+};
+const EXPANSIONS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { term: { type: 'string' }, alternatives: { type: 'array', items: { type: 'string' } } },
+    required: ['term', 'alternatives']
+  },
+};
+
+// Climbing styles a chapter sidecar can list under "disciplines"
+const CLIMBING_DISCIPLINES = ['sport', 'trad', 'alpine', 'ice', 'mixed', 'big wall'];
+
+// Words too common to help ranking
+const SEARCH_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from',
+  'how', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'should',
+  'so', 'than', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to',
+  'was', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Synonym groups (UK/US terms, acronyms, gear brands) used to expand queries
+const CLIMBING_THESAURUS = require('./climbing-thesaurus.json');
+
+// Font-based heading detection for chapter outlines
+const OUTLINE_CONFIG = {
+  HEADING_SIZE_RATIO: 1.05,       // Lines set this much larger than body text are headings
+  BOLD_HEADING_SIZE_RATIO: 0.98,  // Bold lines at body size are headings when body text is regular
+  FONT_SIZE_PRECISION: 10,        // Font sizes are compared to a tenth of a point
+  MAX_HEADING_LENGTH: 100,        // Longer styled runs are lead paragraphs or pull quotes
+  MAX_HEADING_LINES: 2,           // Headings wrap onto at most this many lines
+  WRAP_MIN_LENGTH: 28,            // Shorter heading lines are complete unless they end mid-phrase
+  WRAP_INDENT_TOLERANCE: 0.5,     // Max left-edge drift (page units) between wrapped heading lines
+  MAX_HEADING_LEVELS: 4,          // Deeper heading styles are folded into the last level
+};
+
+// Front and back matter recognised from chapter file names, in reading order
+const BOOK_MATTER = {
+  front: ['foreword', 'preface', 'acknowledgments', 'introduction', 'prologue'],
+  back: ['appendix', 'glossary', 'bibliography', 'references', 'index'],
+};
+
+// Words left lowercase when an all-caps heading is title-cased
+const HEADING_MINOR_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'in', 'into',
+  'nor', 'of', 'on', 'or', 'the', 'to', 'vs', 'with'
+]);
+
+// Affixes under which a derived word counts as known for segmentation
+const WORD_AFFIXES = {
+  suffixes: ['s', 'es', 'ed', 'd', 'ing', 'er', 'ers', 'ly', 'ness', 'able', 'ment', 'ments'],
+  prefixes: ['re', 'un', 'non', 'pre', 'over', 'under'],
+};
+
+// Climbing vocabulary used for topic tagging and word segmentation
+const CLIMBING_TERMS = [
+  'anchor', 'anchors', 'belay', 'belaying', 'rappel', 'rappelling', 
+  'knot', 'knots', 'rope', 'carabiner', 'cam', 'nut', 'protection',
+  'pitch', 'multipitch', 'trad', 'traditional', 'sport', 'lead',
+  'follow', 'climbing', 'technique', 'safety', 'SERENE', 'equalization'
+];
+
+export class ClimbingResourcesServer {
   constructor() {
-    this.server = new Server(
+    // Resource subscriptions of each connected server (one per HTTP session,
+    // or the single stdio server), keyed by URI
+    this.resourceSubscriptions = new Map();
+    this.pendingWatchEvents = new Map();
+    this.queuedExtractions = new Set();
+    this.extractionQueue = Promise.resolve();
+    this.verifiedSources = new Map();
+    this.activeExtractions = new Map();
+    this.corruptCaches = new Map();
+  }
+
+  createServer() {
+    // Every client gets its own protocol server; the library, caches and
+    // search index behind them are shared
+    const server = new Server(
       {
         name: 'climbing-resources-server',
         version: '2.1.0',
@@ -29,143 +288,637 @@ class ClimbingResourcesServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
+          completions: {},
         },
       }
     );
 
-    this.setupHandlers();
+    this.resourceSubscriptions.set(server, new Map());
+    server.onclose = () => this.resourceSubscriptions.delete(server);
+    this.setupHandlers(server);
+    return server;
   }
 
-  setupHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
-        {
-          name: 'list_books_and_chapters',
-          description: 'List all available books and their PDF chapters with extraction status and content metadata',
-          inputSchema: {
-            type: 'object',
-            properties: {},
-          },
+  getToolDefinitions() {
+    return [
+      {
+        name: 'list_books_and_chapters',
+        description: 'List all available books and their PDF chapters with extraction status and content metadata',
+        inputSchema: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {},
         },
-        {
-          name: 'search_content',
-          description: 'Search within extracted PDF text and return relevant sections with page references',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'Search query for specific climbing topics, techniques, or concepts',
-              },
-              max_results: {
-                type: 'number',
-                description: 'Maximum number of results to return (1-5)',
-                default: 3,
-                minimum: 1,
-                maximum: 5
+        outputSchema: {
+          type: 'object',
+          properties: {
+            bookCount: { type: 'integer' },
+            chapterCount: { type: 'integer' },
+            books: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  bookName: { type: 'string', description: 'Book directory name, used as book_name' },
+                  bookTitle: { type: 'string' },
+                  chapterCount: { type: 'integer' },
+                  chapters: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        filename: { type: 'string', description: 'Chapter PDF name, used as chapter_name' },
+                        title: { type: 'string' },
+                        description: { type: 'string' },
+                        keywords: { type: 'array', items: { type: 'string' } },
+                        disciplines: { type: 'array', items: { type: 'string' } },
+                        extraction: {
+                          type: 'object',
+                          properties: {
+                            extracted: { type: 'boolean' },
+                            cacheStatus: {
+                              type: 'string',
+                              enum: ['current', 'stale', 'corrupt', 'missing'],
+                              description: 'Stale caches no longer match their PDF or the extractor, and corrupt caches cannot be read; both are re-extracted when read'
+                            },
+                            staleReason: { type: 'string' },
+                            corruptReason: { type: 'string' },
+                            extractedAt: { type: 'string' },
+                            totalPages: { type: 'integer' },
+                            textLength: { type: 'integer', description: 'Characters of cleaned text' },
+                            chunkCount: { type: 'integer' }
+                          },
+                          required: ['extracted', 'cacheStatus']
+                        }
+                      },
+                      required: ['filename', 'title', 'description', 'keywords', 'disciplines', 'extraction']
+                    }
+                  }
+                },
+                required: ['bookName', 'bookTitle', 'chapterCount', 'chapters']
               }
             },
-            required: ['query'],
+            cacheCounts: {
+              type: 'object',
+              properties: {
+                current: { type: 'integer' },
+                stale: { type: 'integer' },
+                corrupt: { type: 'integer' },
+                missing: { type: 'integer' },
+                orphaned: { type: 'integer' }
+              },
+              required: ['current', 'stale', 'corrupt', 'missing', 'orphaned']
+            },
+            orphanedCaches: {
+              type: 'array',
+              description: 'Chapter caches whose PDF is no longer in Books/',
+              items: {
+                type: 'object',
+                properties: { book: { type: 'string' }, chapter: { type: 'string' } },
+                required: ['book', 'chapter']
+              }
+            }
           },
+          required: ['bookCount', 'chapterCount', 'cacheCounts', 'books', 'orphanedCaches'],
         },
-        {
-          name: 'get_chapter_section',
-          description: 'Get a specific section of a chapter with text and associated images',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              book_name: {
-                type: 'string',
-                description: 'The name of the book directory',
+      },
+      {
+        name: 'get_book_outline',
+        description: 'Get the ordered structure of a book: parts, chapters and detected sections with page ranges and extraction status',
+        inputSchema: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            book_name: {
+              type: 'string',
+              description: 'The book directory name or title (partial names are accepted)',
+            }
+          },
+          required: ['book_name'],
+        },
+        outputSchema: {
+          type: 'object',
+          $defs: {
+            section: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                level: { type: 'integer' },
+                pageRange: PAGE_RANGE_SCHEMA,
+                startChar: { type: 'integer' },
+                sections: { type: 'array', items: { $ref: '#/$defs/section' } }
               },
-              chapter_name: {
-                type: 'string',
-                description: 'The filename of the chapter PDF',
+              required: ['title', 'level', 'pageRange', 'startChar', 'sections']
+            },
+            entry: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                filename: { type: 'string' },
+                kind: { type: 'string', enum: ['front', 'part', 'chapter', 'back', 'other'] },
+                number: { type: 'integer' },
+                hasPdf: { type: 'boolean' },
+                chapterRange: { type: 'array', items: { type: 'integer' } },
+                pageRange: PAGE_RANGE_SCHEMA,
+                extraction: {
+                  type: 'object',
+                  properties: {
+                    extracted: { type: 'boolean' },
+                    extractedAt: { type: 'string' },
+                    sectionsRecorded: { type: 'boolean' }
+                  },
+                  required: ['extracted']
+                },
+                sections: { type: 'array', items: { $ref: '#/$defs/section' } },
+                chapters: { type: 'array', items: { $ref: '#/$defs/entry' }, description: 'Chapters of a part' }
               },
-              section_topic: {
-                type: 'string',
-                description: 'Specific topic or technique to focus on (e.g., "trad anchors", "belaying", "rappelling")',
+              required: ['title', 'filename', 'kind', 'hasPdf', 'extraction', 'sections']
+            }
+          },
+          properties: {
+            book: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                title: { type: 'string' },
+                authors: { type: 'array', items: { type: 'string' } },
+                edition: { type: 'string' },
+                publisher: { type: 'string' },
+                year: { type: 'string' }
               },
-              context_level: {
-                type: 'string',
-                enum: ['brief', 'detailed', 'comprehensive'],
-                description: 'Amount of surrounding context to include',
-                default: 'detailed'
-              }
+              required: ['name', 'title', 'authors', 'edition', 'publisher', 'year']
             },
-            required: ['book_name', 'chapter_name', 'section_topic'],
+            entryCount: { type: 'integer' },
+            partCount: { type: 'integer' },
+            extractedCount: { type: 'integer' },
+            entries: { type: 'array', items: { $ref: '#/$defs/entry' } }
           },
+          required: ['book', 'entryCount', 'partCount', 'extractedCount', 'entries'],
         },
-        {
-          name: 'extract_chapter_content',
-          description: 'Extract and cache text and images from a chapter for future searches',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              book_name: {
-                type: 'string',
-                description: 'The name of the book directory',
-              },
-              chapter_name: {
-                type: 'string',
-                description: 'The filename of the chapter PDF to extract',
+      },
+      {
+        name: 'search_content',
+        description: 'Search within extracted PDF text and return relevant sections with page references',
+        inputSchema: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query for specific climbing topics, techniques, or concepts. Supports "quoted phrases", AND, OR, NOT, parentheses and the field filters book:, chapter:, section: and keyword: (e.g. anchors NOT bolts, "fall factor" book:freedom)',
+            },
+            max_results: {
+              type: 'number',
+              description: 'Maximum number of results to return per page (1-5)',
+              default: 3,
+              minimum: 1,
+              maximum: 5
+            },
+            books: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only search these books (full or partial book names)'
+            },
+            chapters: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only search these chapters (full or partial chapter names or titles)'
+            },
+            disciplines: {
+              type: 'array',
+              items: { type: 'string', enum: CLIMBING_DISCIPLINES },
+              description: 'Only search chapters tagged with one of these climbing disciplines'
+            },
+            page_range: {
+              type: 'object',
+              properties: {
+                from: { type: 'number', minimum: 1 },
+                to: { type: 'number', minimum: 1 }
               },
-              force_reextract: {
-                type: 'boolean',
-                description: 'Force re-extraction even if cached version exists',
-                default: false
+              required: ['from', 'to'],
+              description: 'Only search text on these pages of each chapter PDF (inclusive)'
+            },
+            mode: {
+              type: 'string',
+              enum: ['hybrid', 'keyword', 'semantic'],
+              description: 'Rank by keywords and meaning combined (default), keywords only, or meaning only. Queries with phrases, operators or field filters are ranked by keywords.',
+              default: 'hybrid'
+            },
+            cursor: {
+              type: 'string',
+              description: 'Cursor from a previous search with the same query and filters, to get the next page of results'
+            }
+          },
+          required: ['query'],
+        },
+        outputSchema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            interpretedAs: { type: 'string', description: 'How a query with phrases, operators or field filters was parsed' },
+            scope: { type: 'string', description: 'The filters applied' },
+            mode: { type: 'string', enum: ['hybrid', 'keyword', 'semantic'] },
+            ranking: { type: 'string' },
+            totalResults: { type: 'integer', description: 'Matching chapters across all pages' },
+            offset: { type: 'integer' },
+            nextCursor: { type: 'string', description: 'Pass as cursor to get the next page' },
+            synonyms: EXPANSIONS_SCHEMA,
+            spellingCorrections: EXPANSIONS_SCHEMA,
+            suggestions: { type: 'array', items: { type: 'string' }, description: 'Did-you-mean queries when nothing matched' },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  rank: { type: 'integer' },
+                  book: { type: 'string' },
+                  bookTitle: { type: 'string' },
+                  chapter: { type: 'string' },
+                  chapterTitle: { type: 'string' },
+                  citation: CITATION_SCHEMA,
+                  metadataMatches: { type: 'array', items: { type: 'string' } },
+                  matchedKeywords: { type: 'array', items: { type: 'string' } },
+                  matches: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        relevance: { type: 'integer', minimum: 0, maximum: 100 },
+                        score: { type: 'number' },
+                        keywordScore: { type: 'number', description: 'BM25F score' },
+                        similarity: { type: 'number', description: 'Cosine similarity of the embeddings' },
+                        sectionPath: { type: 'array', items: { type: 'string' } },
+                        pages: PAGE_RANGE_SCHEMA,
+                        startChar: { type: 'integer' },
+                        endChar: { type: 'integer' },
+                        topics: { type: 'array', items: { type: 'string' } },
+                        matchedVia: { type: 'array', items: { type: 'string' } },
+                        snippet: { type: 'string' },
+                        keyTopics: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: { term: { type: 'string' }, context: { type: 'string' } },
+                            required: ['term', 'context']
+                          }
+                        }
+                      },
+                      required: ['relevance', 'score', 'sectionPath', 'pages', 'startChar', 'endChar', 'topics', 'matchedVia', 'snippet', 'keyTopics']
+                    }
+                  }
+                },
+                required: ['rank', 'book', 'bookTitle', 'chapter', 'chapterTitle', 'citation', 'metadataMatches', 'matchedKeywords', 'matches']
+              }
+            }
+          },
+          required: ['query', 'mode', 'ranking', 'totalResults', 'offset', 'synonyms', 'spellingCorrections', 'results'],
+        },
+      },
+      {
+        name: 'get_chapter_section',
+        description: 'Get a specific section of a chapter with text and associated images',
+        inputSchema: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            book_name: {
+              type: 'string',
+              description: 'The book directory name or title (partial names are accepted)',
+            },
+            chapter_name: {
+              type: 'string',
+              description: 'The chapter PDF filename, with or without ".pdf", its title, or "Chapter 10"',
+            },
+            section_topic: {
+              type: 'string',
+              description: 'Specific topic or technique to focus on (e.g., "trad anchors", "belaying", "rappelling")',
+            },
+            context_level: {
+              type: 'string',
+              enum: ['brief', 'detailed', 'comprehensive'],
+              description: 'Amount of surrounding context to include',
+              default: 'detailed'
+            }
+          },
+          required: ['book_name', 'chapter_name', 'section_topic'],
+        },
+        outputSchema: {
+          type: 'object',
+          properties: {
+            book: { type: 'string' },
+            chapter: { type: 'string' },
+            chapterTitle: { type: 'string' },
+            topic: { type: 'string' },
+            contextLevel: { type: 'string' },
+            citation: CITATION_SCHEMA,
+            totalMatches: { type: 'integer' },
+            matches: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  sectionPath: { type: 'array', items: { type: 'string' } },
+                  citation: CITATION_SCHEMA,
+                  pages: PAGE_RANGE_SCHEMA,
+                  startChar: { type: 'integer' },
+                  endChar: { type: 'integer' },
+                  topics: { type: 'array', items: { type: 'string' } },
+                  matchedVia: { type: 'array', items: { type: 'string' } },
+                  text: { type: 'string' },
+                  keyTopics: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: { term: { type: 'string' }, context: { type: 'string' } },
+                      required: ['term', 'context']
+                    }
+                  }
+                },
+                required: ['sectionPath', 'citation', 'pages', 'startChar', 'endChar', 'topics', 'matchedVia', 'text', 'keyTopics']
               }
             },
-            required: ['book_name', 'chapter_name'],
+            suggestions: { type: 'array', items: { type: 'string' }, description: 'Did-you-mean topics when nothing matched' },
+            availableTopics: { type: 'array', items: { type: 'string' }, description: 'Topics of the chapter when nothing matched' }
           },
+          required: ['book', 'chapter', 'chapterTitle', 'topic', 'contextLevel', 'citation', 'totalMatches', 'matches'],
         },
-        {
-          name: 'get_chapter_text',
-          description: 'Get readable text from a chapter - combines extraction and cleaning into one tool',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              book_name: {
-                type: 'string',
-                description: 'The name of the book directory',
-              },
-              chapter_name: {
-                type: 'string',
-                description: 'The filename of the chapter PDF',
-              },
-              start_chars: {
-                type: 'number',
-                description: 'Starting character position (0 for beginning of chapter)',
-                default: 0
-              },
-              length: {
-                type: 'number',
-                description: 'Number of characters to return',
-                default: 1000
+      },
+      {
+        name: 'extract_chapter_content',
+        description: 'Extract and cache text and images from a chapter for future searches',
+        inputSchema: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            book_name: {
+              type: 'string',
+              description: 'The book directory name or title (partial names are accepted)',
+            },
+            chapter_name: {
+              type: 'string',
+              description: 'The chapter PDF filename to extract, with or without ".pdf", its title, or "Chapter 10"',
+            },
+            force_reextract: {
+              type: 'boolean',
+              description: 'Force re-extraction even if cached version exists',
+              default: false
+            }
+          },
+          required: ['book_name', 'chapter_name'],
+        },
+        outputSchema: {
+          type: 'object',
+          properties: {
+            book: { type: 'string' },
+            chapter: { type: 'string' },
+            status: { type: 'string', enum: ['extracted', 'already-extracted'] },
+            extractedAt: { type: 'string' },
+            totalPages: { type: 'integer' },
+            textLength: { type: 'integer', description: 'Characters of cleaned text' },
+            chunkCount: { type: 'integer' },
+            outlineSections: { type: 'integer', description: 'Absent for caches extracted before outlines were recorded' },
+            staleReason: { type: 'string', description: 'Why the previous cache was replaced, when it was stale or corrupt' },
+            topics: { type: 'array', items: { type: 'string' } },
+            unresolvedWords: {
+              type: 'object',
+              properties: {
+                count: { type: 'integer' },
+                words: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { word: { type: 'string' }, count: { type: 'integer' } },
+                    required: ['word', 'count']
+                  }
+                }
               },
-              force_reextract: {
-                type: 'boolean',
-                description: 'Force re-extraction even if cached version exists',
-                default: false
+              required: ['count', 'words']
+            }
+          },
+          required: ['book', 'chapter', 'status', 'totalPages', 'textLength', 'chunkCount', 'topics'],
+        },
+      },
+      {
+        name: 'extract_library',
+        description: 'Extract and cache every chapter of a book, or of the whole library, in parallel worker threads. An interrupted run resumes when called again with the same arguments.',
+        inputSchema: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            book_name: {
+              type: 'string',
+              description: 'Only extract this book (directory name or title, partial names are accepted); omit for the whole library',
+            },
+            force_reextract: {
+              type: 'boolean',
+              description: 'Re-extract chapters that are already cached',
+              default: false
+            },
+            workers: {
+              type: 'integer',
+              description: `Worker threads to extract with (default ${LIBRARY_EXTRACTION_CONFIG.DEFAULT_WORKERS})`,
+              minimum: 1,
+              maximum: LIBRARY_EXTRACTION_CONFIG.MAX_WORKERS
+            }
+          },
+        },
+        outputSchema: {
+          type: 'object',
+          properties: {
+            scope: { type: 'string', description: 'The book extracted, or "library"' },
+            status: { type: 'string', enum: ['completed', 'cancelled'] },
+            workers: { type: 'integer' },
+            resumed: { type: 'boolean', description: 'Whether an interrupted earlier run was continued' },
+            chapterCount: { type: 'integer' },
+            extracted: { type: 'integer' },
+            skipped: { type: 'integer', description: 'Chapters that were already cached' },
+            failed: { type: 'integer' },
+            remaining: { type: 'integer', description: 'Chapters not reached before the run was cancelled' },
+            totalPages: { type: 'integer', description: 'Pages parsed by this run' },
+            seconds: { type: 'number' },
+            chapters: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  book: { type: 'string' },
+                  chapter: { type: 'string' },
+                  status: { type: 'string', enum: ['extracted', 'skipped', 'failed'] },
+                  pages: { type: 'integer' },
+                  chunkCount: { type: 'integer' },
+                  seconds: { type: 'number', description: 'Time spent extracting; absent for skipped chapters' },
+                  error: { type: 'string' },
+                  resumed: { type: 'boolean', description: 'Finished by an earlier, interrupted run' }
+                },
+                required: ['book', 'chapter', 'status']
               }
+            }
+          },
+          required: ['scope', 'status', 'workers', 'resumed', 'chapterCount', 'extracted', 'skipped', 'failed', 'remaining', 'totalPages', 'seconds', 'chapters'],
+        },
+      },
+      {
+        name: 'get_chapter_text',
+        description: 'Get readable text from a chapter - combines extraction and cleaning into one tool',
+        inputSchema: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            book_name: {
+              type: 'string',
+              description: 'The book directory name or title (partial names are accepted)',
+            },
+            chapter_name: {
+              type: 'string',
+              description: 'The chapter PDF filename, with or without ".pdf", its title, or "Chapter 10"',
             },
-            required: ['book_name', 'chapter_name'],
+            start_chars: {
+              type: 'integer',
+              description: 'Starting character position (0 for beginning of chapter)',
+              default: 0,
+              minimum: 0
+            },
+            length: {
+              type: 'integer',
+              description: 'Number of characters to return',
+              default: 1000,
+              minimum: 1
+            },
+            force_reextract: {
+              type: 'boolean',
+              description: 'Force re-extraction even if cached version exists',
+              default: false
+            }
           },
+          required: ['book_name', 'chapter_name'],
         },
-      ],
+        outputSchema: {
+          type: 'object',
+          properties: {
+            book: { type: 'string' },
+            chapter: { type: 'string' },
+            chapterTitle: { type: 'string' },
+            citation: CITATION_SCHEMA,
+            sectionPath: { type: 'array', items: { type: 'string' } },
+            startChar: { type: 'integer' },
+            endChar: { type: 'integer' },
+            totalLength: { type: 'integer' },
+            totalPages: { type: 'integer' },
+            text: { type: 'string' },
+            nextStartChars: { type: 'integer', description: 'start_chars for the next part, when the chapter continues' }
+          },
+          required: ['book', 'chapter', 'chapterTitle', 'citation', 'sectionPath', 'startChar', 'endChar', 'totalLength', 'totalPages', 'text'],
+        },
+      },
+    ];
+  }
+
+  validateToolArguments(schema, args = {}) {
+    // Checks the parts of JSON Schema the tool schemas use and fills in
+    // defaults, so handlers get arguments of the declared types
+    const problems = this.checkSchemaValue(args, schema, 'arguments');
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+
+    const defaults = Object.entries(schema.properties || {})
+      .filter(([key, property]) => property.default !== undefined && args[key] === undefined)
+      .map(([key, property]) => [key, property.default]);
+    return { ...Object.fromEntries(defaults), ...args };
+  }
+
+  checkSchemaValue(value, schema, label) {
+    const types = {
+      object: v => typeof v === 'object' && v !== null && !Array.isArray(v),
+      array: v => Array.isArray(v),
+      string: v => typeof v === 'string',
+      number: v => typeof v === 'number' && Number.isFinite(v),
+      integer: v => Number.isInteger(v),
+      boolean: v => typeof v === 'boolean'
+    };
+    if (schema.type && !types[schema.type](value)) {
+      const got = Array.isArray(value) ? 'an array' : value === null ? 'null' : `${typeof value} ${JSON.stringify(value)}`;
+      return [`${label} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}, got ${got}`];
+    }
+
+    const problems = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(`${label} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${label} must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${label} must be at most ${schema.maximum}, got ${value}`);
+    }
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => problems.push(...this.checkSchemaValue(item, schema.items, `${label}[${index}]`)));
+    }
+    if (schema.type === 'object') {
+      const properties = schema.properties || {};
+      const prefix = label === 'arguments' ? '' : `${label}.`;
+      (schema.required || [])
+        .filter(key => value[key] === undefined)
+        .forEach(key => problems.push(`missing required ${prefix}${key}`));
+      Object.entries(value).forEach(([key, item]) => {
+        if (properties[key]) {
+          problems.push(...this.checkSchemaValue(item, properties[key], `${prefix}${key}`));
+        } else if (schema.additionalProperties === false) {
+          const closest = this.findClosestNames(key, Object.keys(properties).map(name => ({ name, keys: [name] })), Math.max(2, Math.floor(key.length / 3)));
+          problems.push(`unknown ${prefix}${key}${closest.length ? ` (did you mean ${closest[0]}?)` : ''}`);
+        }
+      });
+    }
+    return problems;
+  }
+
+  setupHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: this.getToolDefinitions()
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name } = request.params;
+      const tool = this.getToolDefinitions().find(definition => definition.name === name);
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+
+      let args;
+      try {
+        args = this.validateToolArguments(tool.inputSchema, request.params.arguments);
+        args = await this.resolveToolArguments(args);
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Invalid arguments for ${name}: ${error.message}`
+          }],
+          isError: true
+        };
+      }
 
       switch (name) {
         case 'list_books_and_chapters':
           return await this.listBooksAndChapters();
         
+        case 'get_book_outline':
+          return await this.getBookOutline(args.book_name);
+        
         case 'search_content':
           return await this.searchContent(
             args.query, 
-            args.max_results || 3
+            args.max_results || 3,
+            {
+              books: args.books,
+              chapters: args.chapters,
+              disciplines: args.disciplines,
+              pageRange: args.page_range,
+              mode: args.mode,
+              cursor: args.cursor
+            }
           );
         
         case 'get_chapter_section':
@@ -173,14 +926,24 @@ class ClimbingResourcesServer {
             args.book_name,
             args.chapter_name, 
             args.section_topic, 
-            args.context_level || 'detailed'
+            args.context_level || 'detailed',
+            this.getExtractionOptions(extra)
           );
         
         case 'extract_chapter_content':
           return await this.extractChapterContent(
             args.book_name,
             args.chapter_name, 
-            args.force_reextract || false
+            args.force_reextract || false,
+            this.getExtractionOptions(extra)
+          );
+        
+        case 'extract_library':
+          return await this.extractLibrary(
+            args.book_name || null,
+            args.force_reextract || false,
+            args.workers || LIBRARY_EXTRACTION_CONFIG.DEFAULT_WORKERS,
+            this.getExtractionOptions(extra)
           );
         
         case 'get_chapter_text':
@@ -189,220 +952,816 @@ class ClimbingResourcesServer {
             args.chapter_name,
             args.start_chars || 0,
             args.length || 1000,
-            args.force_reextract || false
+            args.force_reextract || false,
+            this.getExtractionOptions(extra)
           );
         
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
     });
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: await this.listLibraryResources()
+    }));
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: `${RESOURCE_CONFIG.URI_SCHEME}://{book}/{chapter}`,
+          name: 'Chapter text',
+          description: 'Cleaned text of a chapter, extracted on first read. Book and chapter are URI-encoded directory and PDF names without ".pdf".',
+          mimeType: 'text/plain'
+        },
+        {
+          uriTemplate: `${RESOURCE_CONFIG.URI_SCHEME}://{book}/{chapter}/pages/{from}-{to}`,
+          name: 'Chapter pages',
+          description: 'Cleaned text of an inclusive page range of a chapter PDF',
+          mimeType: 'text/plain'
+        },
+        {
+          uriTemplate: `${RESOURCE_CONFIG.URI_SCHEME}://{book}/{chapter}/pdf`,
+          name: 'Chapter PDF',
+          description: 'The original chapter PDF',
+          mimeType: 'application/pdf'
+        }
+      ]
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => ({
+      contents: await this.readLibraryResource(request.params.uri, this.getExtractionOptions(extra))
+    }));
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const { bookName, chapterName } = this.parseResourceUri(uri);
+      this.resourceSubscriptions.get(server)?.set(uri, { bookName, chapterName });
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.resourceSubscriptions.get(server)?.delete(request.params.uri);
+      return {};
+    });
+
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: [
+        {
+          name: 'explain_technique',
+          description: 'Explain a climbing technique with citations from every book that covers it',
+          arguments: [
+            { name: 'technique', description: 'Technique or concept to explain (e.g. "equalizing a three-piece anchor")', required: true },
+            { name: 'discipline', description: `Only use chapters for one discipline: ${CLIMBING_DISCIPLINES.join(', ')}` }
+          ]
+        },
+        {
+          name: 'compare_books',
+          description: 'Compare how the books treat a topic: where they agree, differ and what each adds',
+          arguments: [
+            { name: 'topic', description: 'Topic to compare (e.g. "fall factor")', required: true },
+            { name: 'books', description: 'Comma-separated book names to compare (default: every extracted book)' }
+          ]
+        },
+        {
+          name: 'safety_briefing',
+          description: 'Build a pre-climb safety briefing for a route from what the books say about its hazards',
+          arguments: [
+            { name: 'route', description: 'Route name and description (length, pitches, rock, descent)', required: true },
+            { name: 'discipline', description: `Style of the route: ${CLIMBING_DISCIPLINES.join(', ')} (default: trad)` },
+            { name: 'concerns', description: 'Comma-separated extra topics to cover (e.g. "loose rock, night descent")' }
+          ]
+        },
+        {
+          name: 'chapter_study_guide',
+          description: 'Turn a chapter into a study guide with key points, common mistakes and review questions',
+          arguments: [
+            { name: 'book', description: 'The book directory name or title', required: true },
+            { name: 'chapter', description: 'The chapter PDF name, with or without ".pdf", its title, or "Chapter 10"', required: true }
+          ]
+        }
+      ]
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+      const { name, arguments: args = {} } = request.params;
+
+      switch (name) {
+        case 'explain_technique':
+          return await this.getExplainTechniquePrompt(args);
+
+        case 'compare_books':
+          return await this.getCompareBooksPrompt(args);
+
+        case 'safety_briefing':
+          return await this.getSafetyBriefingPrompt(args);
+
+        case 'chapter_study_guide':
+          return await this.getChapterStudyGuidePrompt(args, this.getExtractionOptions(extra));
+
+        default:
+          throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+      }
+    });
+
+    server.setRequestHandler(CompleteRequestSchema, async (request) => {
+      const { ref, argument, context } = request.params;
+      // Prompt arguments take chapter file names like the tools; URI templates take them without ".pdf"
+      const values = await this.completeArgument(argument.name, argument.value, context?.arguments || {}, {
+        fileNames: ref.type === 'ref/prompt'
+      });
+      return {
+        completion: {
+          values: values.slice(0, COMPLETION_CONFIG.MAX_VALUES),
+          total: values.length,
+          hasMore: values.length > COMPLETION_CONFIG.MAX_VALUES
+        }
+      };
+    });
   }
 
   reconstructText(rawText) {
-    // Advanced text reconstruction to fix severe PDF spacing corruption
+    // Final cleanup of text that was already assembled from glyph positions
     if (!rawText || rawText.length === 0) return '';
     
     let text = rawText;
     
-    // Step 1: Fix the severe character-by-character spacing issue
-    // Pattern like "la ng er nu ts" should become "larger nuts"
-    text = text.replace(/([a-z])\s+([a-z])\s+([a-z])/g, (match) => {
-      // Remove all spaces and see if it forms a real word
-      const merged = match.replace(/\s+/g, '');
-      return merged;
-    });
-    
-    // Step 2: More aggressive character merging for 2-char sequences
-    text = text.replace(/([a-z])\s+([a-z])/g, '$1$2');
-    
-    // Step 3: Handle mixed case issues like "si depla ce me nt" -> "side placement"
-    text = text.replace(/([a-z])\s+([a-z])\s+([a-z])\s+([a-z])\s+([a-z])/g, (match) => {
-      return match.replace(/\s+/g, '');
-    });
-    
-    // Step 4: Insert spaces at likely word boundaries
-    // Between sequences that look like merged words
-    const wordBoundaryPatterns = [
-      // Between lowercase and uppercase
-      [/([a-z])([A-Z])/g, '$1 $2'],
-      // Before common prefixes
-      [/([a-z])(and|the|of|to|in|for|with|are|can|will|may)/g, '$1 $2'],
-      // After common suffixes  
-      [/(ing|tion|ed|er|ly|ness)([a-z])/g, '$1 $2'],
-      // Between letters and numbers
-      [/([a-zA-Z])([0-9])/g, '$1 $2'],
-      [/([0-9])([a-zA-Z])/g, '$1 $2'],
-      // Before/after punctuation
-      [/([a-zA-Z])([.,:;!?])/g, '$1$2'],
-      [/([.,:;!?])([a-zA-Z])/g, '$1 $2']
-    ];
-    
-    wordBoundaryPatterns.forEach(([pattern, replacement]) => {
-      text = text.replace(pattern, replacement);
-    });
-    
-    // Step 5: Fix common climbing terminology
-    const climbingFixes = [
-      [/placements?/gi, 'placement'],
-      [/anchors?/gi, 'anchor'],  
-      [/protection/gi, 'protection'],
-      [/carabiners?/gi, 'carabiner'],
-      [/generally/gi, 'generally'],
-      [/stronger/gi, 'stronger'],
-      [/smaller/gi, 'smaller'],
-      [/larger/gi, 'larger'],
-      [/important/gi, 'important']
-    ];
-    
-    climbingFixes.forEach(([pattern, replacement]) => {
-      text = text.replace(pattern, replacement);
-    });
-    
-    // Step 6: Clean up whitespace and formatting
-    text = text.replace(/\s{2,}/g, ' ');
-    text = text.replace(/\s*\n\s*/g, '\n');
+    // Clean up whitespace while keeping the line structure
+    text = text.replace(/[ \t]{2,}/g, ' ');
+    text = text.replace(/[ \t]*\n[ \t]*/g, '\n');
     text = text.replace(/\n{3,}/g, '\n\n');
     text = text.trim();
     
-    // Step 7: Final pass - try to reconstruct obvious words
-    // This catches remaining fragmented common words
-    const commonWordsMap = {
-      'gene rally': 'generally',
-      'place ment': 'placement', 
-      'place ments': 'placements',
-      'import ant': 'important',
-      'strong er': 'stronger',
-      'small er': 'smaller',
-      'larg er': 'larger',
-      'fig ure': 'figure',
-      'anch or': 'anchor',
-      'anch ors': 'anchors',
-      'protect ion': 'protection',
-      'cara bin er': 'carabiner',
-      'cara bin ers': 'carabiners'
-    };
-    
-    Object.keys(commonWordsMap).forEach(fragmented => {
-      const regex = new RegExp(fragmented, 'gi');
-      text = text.replace(regex, commonWordsMap[fragmented]);
-    });
-    
     return text;
   }
 
-  async extractTextWithPdfReader(pdfBuffer) {
-    return new Promise((resolve, reject) => {
-      const reader = new PdfReader();
-      let pageText = {};
-      let currentPage = 0;
-      
-      reader.parseBuffer(pdfBuffer, (err, item) => {
-        if (err) {
-          console.error('PDFReader error:', err);
-          resolve({ text: '', pageData: {} });
-          return;
-        }
-        
-        if (!item) {
-          // End of document - return both text and page mapping
-          const sortedPages = Object.keys(pageText)
-            .sort((a, b) => parseInt(a) - parseInt(b));
-          
-          const fullText = sortedPages.map(page => pageText[page] || '').join('\n').trim();
-          
-          resolve({ 
-            text: fullText, 
-            pageData: pageText,
-            totalPages: sortedPages.length 
-          });
-          return;
-        }
-        
-        if (item.page) {
-          currentPage = item.page;
-          if (!pageText[currentPage]) {
-            pageText[currentPage] = '';
-          }
-        }
-        
-        if (item.text) {
-          // PDFReader gives us better spaced text usually
-          pageText[currentPage] = (pageText[currentPage] || '') + item.text + ' ';
-        }
-      });
+  async getSegmentationLexicon() {
+    // Word costs (negative log frequency) for segmenting damaged text: general
+    // English frequencies plus the climbing vocabulary of the library itself
+    if (this.segmentationLexicon) return this.segmentationLexicon;
+
+    const costs = new Map();
+    const frequencies = require('subtlex-word-frequencies');
+    const total = frequencies.reduce((sum, entry) => sum + entry.count, 0);
+
+    frequencies.forEach(({ word, count }) => {
+      const lower = word.toLowerCase();
+      // Subtitle corpora are full of stray letters; only "a" and "i" are words
+      if (count < SEGMENTATION_CONFIG.MIN_WORD_COUNT) return;
+      if (lower.length === 1 && lower !== 'a' && lower !== 'i') return;
+      if (lower.length === 2 && count < SEGMENTATION_CONFIG.MIN_SHORT_WORD_COUNT) return;
+      if (!/^[a-z]+$/.test(lower)) return;
+      const cost = Math.log(total / count);
+      if (!costs.has(lower) || cost < costs.get(lower)) {
+        costs.set(lower, cost);
+      }
     });
-  }
 
-  async extractTextWithPDF2JSON(pdfBuffer) {
-    return new Promise((resolve, reject) => {
-      const pdfParser = new PDF2JSON(null, 1); // Disable verbose logging
-      
-      // Suppress console output from pdf2json
-      const originalConsoleWarn = console.warn;
-      const originalConsoleError = console.error;
-      
-      console.warn = () => {}; // Suppress warnings
-      console.error = (msg) => {
-        if (!msg.includes('Warning:') && !msg.includes('Unexpected token')) {
-          originalConsoleError(msg);
-        }
+    // Climbing terms rank like common words so "sidepla cement" resolves to
+    // "side placement" rather than to rarer general-English splits
+    const climbingCost = Math.log(total / frequencies[SEGMENTATION_CONFIG.CLIMBING_WORD_RANK].count);
+    const climbingWords = new Set(CLIMBING_TERMS.map(term => term.toLowerCase()));
+
+    try {
+      const bookDirs = await fs.readdir(BOOKS_DIR, { withFileTypes: true });
+      for (const bookDir of bookDirs.filter(entry => entry.isDirectory())) {
+        const bookPath = path.join(BOOKS_DIR, bookDir.name);
+        const sidecars = (await fs.readdir(bookPath)).filter(file => file.toLowerCase().endsWith('.json'));
+        for (const sidecar of sidecars) {
+          try {
+            const metadata = JSON.parse(await fs.readFile(path.join(bookPath, sidecar), 'utf-8'));
+            (metadata.keywords || []).forEach(keyword => {
+              keyword.toLowerCase().split(/[^a-z]+/).forEach(word => {
+                if (word.length > 1) climbingWords.add(word);
+              });
+            });
+          } catch (err) {
+            // Unreadable sidecar, its keywords are simply not in the lexicon
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error reading sidecar keywords for segmentation:', error.message);
+    }
+
+    climbingWords.forEach(word => {
+      costs.set(word, Math.min(costs.get(word) ?? Infinity, climbingCost));
+    });
+
+    this.segmentationLexicon = {
+      costs,
+      maxWordLength: Math.max(...[...costs.keys()].map(word => word.length)),
+      singletonCost: Math.log(total),
+      unknownCost: Math.log(total) + SEGMENTATION_CONFIG.UNKNOWN_WORD_PENALTY
+    };
+    return this.segmentationLexicon;
+  }
+
+  isKnownWord(token, lexicon) {
+    const lower = token.toLowerCase();
+    if (lexicon.costs.has(lower)) return true;
+    // Contractions and possessives: "won't", "climber's"
+    const [stem] = lower.split(/['’]/);
+    if (stem !== lower) return lexicon.costs.has(stem);
+    // Inflected and derived forms of known words: "mountaineers", "resealable"
+    return WORD_AFFIXES.suffixes.some(suffix =>
+      lower.length > suffix.length + 2 && lower.endsWith(suffix) &&
+      lexicon.costs.has(lower.slice(0, -suffix.length))
+    ) || WORD_AFFIXES.prefixes.some(prefix =>
+      lower.length > prefix.length + 2 && lower.startsWith(prefix) &&
+      this.isKnownWord(lower.slice(prefix.length), lexicon)
+    );
+  }
+
+  tokenCost(token, lexicon) {
+    // Cost of keeping a token as it is. Unknown but plausible words (rare terms,
+    // compounds like "trailside") cost like a word seen once, so only clearly
+    // damaged tokens - stray letters, vowel-less fragments, over-long runs - are
+    // worth rewriting.
+    const lower = token.toLowerCase();
+    if (lexicon.costs.has(lower)) return lexicon.costs.get(lower);
+    if (token.length === 1 || !/[aeiouy]/i.test(token)) return lexicon.unknownCost * token.length;
+    return lexicon.singletonCost +
+      SEGMENTATION_CONFIG.LONG_WORD_CHAR_COST * Math.max(0, token.length - SEGMENTATION_CONFIG.PLAUSIBLE_WORD_LENGTH);
+  }
+
+  isSegmentationCandidate(token, lexicon) {
+    // Tokens worth trying to re-split or re-join: unknown words and stray single
+    // letters. Names (Capitalized) and short acronyms (YDS, ATC) are left alone.
+    if (token.length === 1) return !/^[aAI]$/.test(token);
+    if (this.isKnownWord(token, lexicon)) return false;
+    if (/^[A-Z][a-z]{3,}$/.test(token)) return false;
+    if (/^[A-Z]{2,5}$/.test(token)) return false;
+    return true;
+  }
+
+  segmentRun(letters, lexicon) {
+    // Viterbi search for the cheapest split of a run of letters into words
+    const lower = letters.toLowerCase();
+    const best = [{ cost: 0, start: 0 }];
+
+    for (let end = 1; end <= lower.length; end++) {
+      best[end] = { cost: Infinity, start: end - 1 };
+      for (let start = Math.max(0, end - lexicon.maxWordLength); start < end; start++) {
+        const word = lower.slice(start, end);
+        // A lowercase "i" inside a run is a fragment, not the pronoun
+        const isFragment = word === 'i' && letters[start] !== 'I';
+        const wordCost = lexicon.costs.has(word) && !isFragment
+          ? lexicon.costs.get(word)
+          : lexicon.unknownCost * word.length;
+        const cost = best[start].cost + wordCost;
+        if (cost < best[end].cost) {
+          best[end] = { cost, start };
+        }
+      }
+    }
+
+    const words = [];
+    for (let end = lower.length; end > 0; end = best[end].start) {
+      words.unshift(letters.slice(best[end].start, end));
+    }
+    return { words, cost: best[lower.length].cost };
+  }
+
+  segmentWords(text, lexicon) {
+    // Repair runs of damaged words: squashed ("sidepla cement") or letter-spaced
+    // ("H O W B E L A Y S"). A run is only rewritten when every word of the new
+    // split is known and the split is cheaper than the original tokens.
+    const unresolved = [];
+
+    const segmentedLines = text.split('\n').map(line => {
+      // Alternating word / separator tokens; runs only span single spaces
+      const parts = line.split(/([A-Za-z]+(?:['’][A-Za-z]+)*)/);
+      const output = [];
+      let run = [];
+
+      const flushRun = () => {
+        if (run.length === 0) return;
+        const words = run.map(index => parts[index]);
+        // Words joined to another word without whitespace ("becaL!Se",
+        // "self-reliant") are left exactly as they are
+        const glued = run.map(index =>
+          (index > 1 && !/\s/.test(parts[index - 1])) ||
+          (index + 2 < parts.length && !/\s/.test(parts[index + 1]))
+        );
+        const candidates = words.map((word, index) => !glued[index] && this.isSegmentationCandidate(word, lexicon));
+        // A lone stray letter between intact words is OCR noise ("set m an
+        // oblique hole"); gluing it to a neighbour would only damage that word
+        words.forEach((word, index) => {
+          if (word.length !== 1 || !candidates[index]) return;
+          const neighbours = [words[index - 1], words[index + 1]].filter(Boolean);
+          if (neighbours.every(neighbour => neighbour.length > 1 && this.isKnownWord(neighbour, lexicon))) {
+            candidates[index] = false;
+          }
+        });
+
+        // Repair spans of candidates together with one neighbour on each side,
+        // which is where the missing half of a split word ends up
+        let i = 0;
+        while (i < words.length) {
+          const inSpan = index => !glued[index] && (candidates[index] || candidates[index - 1] || candidates[index + 1]);
+          if (!inSpan(i)) {
+            output.push({ index: run[i], text: words[i] });
+            i++;
+            continue;
+          }
+
+          let j = i;
+          while (j + 1 < words.length && inSpan(j + 1)) j++;
+          const spanWords = words.slice(i, j + 1);
+          const originalCost = spanWords.reduce((sum, word) => sum + this.tokenCost(word, lexicon), 0);
+          const letters = spanWords.join('');
+          const resegmented = /^[A-Za-z]+$/.test(letters) ? this.segmentRun(letters, lexicon) : null;
+          // Splitting one token into several words needs more evidence than
+          // moving a boundary between existing tokens
+          const splitCost = resegmented
+            ? SEGMENTATION_CONFIG.SPLIT_PENALTY * Math.max(0, resegmented.words.length - spanWords.length)
+            : 0;
+
+          if (resegmented &&
+              resegmented.cost + splitCost < originalCost &&
+              resegmented.words.every(word => lexicon.costs.has(word.toLowerCase()))) {
+            output.push({ index: run[i], text: resegmented.words.join(' '), span: j - i + 1 });
+          } else {
+            spanWords.forEach((word, offset) => {
+              if (candidates[i + offset] && word.length > 1) unresolved.push(word.toLowerCase());
+              output.push({ index: run[i + offset], text: word });
+            });
+          }
+          i = j + 1;
+        }
+        run = [];
+      };
+
+      for (let index = 1; index < parts.length; index += 2) {
+        if (run.length > 0 && parts[index - 1] !== ' ') flushRun();
+        run.push(index);
+      }
+      flushRun();
+
+      // Rebuild the line, dropping the separators swallowed by a merged span
+      const replaced = {};
+      output.forEach(({ index, text, span = 1 }) => {
+        replaced[index] = text;
+        for (let k = 1; k < span; k++) {
+          replaced[index + 2 * k] = '';
+          replaced[index + 2 * k - 1] = '';
+        }
+      });
+      return parts.map((part, index) => replaced[index] ?? part).join('');
+    });
+
+    return { text: segmentedLines.join('\n'), unresolved };
+  }
+
+  createGlyph(x, y, w, text, textStyle = []) {
+    // Normalize a positioned text item from pdfreader or pdf2json.
+    // Both report x/y in page units and w in unscaled text-space units.
+    const [, fontSize = 0, bold = 0, italic = 0] = textStyle;
+    const trimmed = text.trim().replace(/\s+/g, ' ');
+    // Letter-spaced heading fonts pad single glyphs with spaces (" C "); those
+    // pads are not word breaks, any other leading/trailing space is
+    const isPaddedGlyph = /^\s+\S\s+$/.test(text);
+    return {
+      x,
+      y,
+      w: w || 0,
+      text: trimmed === '' ? ' ' : trimmed,
+      spaceBefore: !isPaddedGlyph && /^\s/.test(text),
+      spaceAfter: !isPaddedGlyph && /\s$/.test(text),
+      fontSize,
+      bold: Boolean(bold),
+      italic: Boolean(italic)
+    };
+  }
+
+  median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  percentile(values, fraction) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(fraction * (sorted.length - 1))];
+  }
+
+  estimateWidthScale(glyphRows, fraction = 0.5) {
+    // pdf2json widths are not in page units; the ratio between how far the pen
+    // advances and the reported width gives the scale for this line or page.
+    // Word gaps and justification only ever add to the advance, so a low
+    // fraction gives a conservative scale for measuring glyph extents.
+    const ratios = [];
+    glyphRows.forEach(row => {
+      for (let i = 0; i < row.length - 1; i++) {
+        const advance = row[i + 1].x - row[i].x;
+        if (row[i].text !== ' ' && row[i + 1].text !== ' ' && row[i].w > 0 && advance > 0) {
+          ratios.push(advance / row[i].w);
+        }
+      }
+    });
+    return ratios.length >= LAYOUT_CONFIG.MIN_SCALE_SAMPLES
+      ? this.percentile(ratios, fraction)
+      : null;
+  }
+
+  groupGlyphsIntoRows(glyphs) {
+    // Cluster glyphs into baselines, then order each baseline left to right
+    const sorted = glyphs
+      .filter(glyph => glyph.text)
+      .sort((a, b) => a.y - b.y || a.x - b.x);
+
+    const rows = [];
+    sorted.forEach(glyph => {
+      const row = rows[rows.length - 1];
+      if (row && Math.abs(glyph.y - row.y) <= LAYOUT_CONFIG.LINE_TOLERANCE) {
+        row.glyphs.push(glyph);
+      } else {
+        rows.push({ y: glyph.y, glyphs: [glyph] });
+      }
+    });
+    rows.forEach(row => row.glyphs.sort((a, b) => a.x - b.x));
+    return rows;
+  }
+
+  groupGlyphsIntoLines(glyphs) {
+    const rows = this.groupGlyphsIntoRows(glyphs);
+    const pageScale = this.estimateWidthScale(rows.map(row => row.glyphs));
+    const lines = [];
+
+    rows.forEach(row => {
+      const scale = this.estimateWidthScale([row.glyphs]) || pageScale;
+      const widths = row.glyphs
+        .filter(glyph => glyph.text !== ' ')
+        .map(glyph => (scale ? glyph.w * scale : 0) / Math.max(glyph.text.length, 1));
+      const charWidth = this.median(widths.filter(width => width > 0));
+
+      let line = null;
+      row.glyphs.forEach((glyph, index) => {
+        const previous = row.glyphs[index - 1];
+        const previousEnd = previous && scale ? previous.x + previous.w * scale : null;
+        const gap = previousEnd !== null ? glyph.x - previousEnd : null;
+
+        // A gap of several characters on one baseline separates two blocks of
+        // text (columns, captions), so they become separate lines
+        if (!line || (charWidth && gap > charWidth * LAYOUT_CONFIG.BLOCK_GAP_RATIO)) {
+          if (line) lines.push(line);
+          line = { y: row.y, x: glyph.x, endX: glyph.x, text: '', fontSizes: [], bold: 0 };
+        } else if (glyph.text !== ' ' && !line.text.endsWith(' ')) {
+          // Without a usable width scale fall back to separating every item
+          const isWordBreak = previous.spaceAfter || glyph.spaceBefore || (charWidth
+            ? gap > charWidth * LAYOUT_CONFIG.SPACE_GAP_RATIO
+            : true);
+          if (isWordBreak) line.text += ' ';
+        }
+
+        if (glyph.text === ' ') {
+          if (line.text && !line.text.endsWith(' ')) line.text += ' ';
+        } else {
+          line.text += glyph.text;
+          line.fontSizes.push(glyph.fontSize);
+          if (glyph.bold) line.bold++;
+        }
+        line.endX = scale ? glyph.x + glyph.w * scale : glyph.x;
+      });
+      if (line) lines.push(line);
+    });
+
+    return lines
+      .map(line => ({
+        y: line.y,
+        x: line.x,
+        endX: line.endX,
+        text: line.text.trim(),
+        fontSize: this.median(line.fontSizes) || 0,
+        bold: line.fontSizes.length > 0 && line.bold / line.fontSizes.length > 0.5
+      }))
+      .filter(line => line.text);
+  }
+
+  glyphExtent(glyph, scale) {
+    // Horizontal span of a glyph; without a width scale assume a narrow glyph
+    const width = scale ? glyph.w * scale : LAYOUT_CONFIG.FALLBACK_CHAR_WIDTH * glyph.text.length;
+    return [glyph.x, glyph.x + width];
+  }
+
+  detectColumnGutters(rows, scale, pageWidth) {
+    // A gutter is a vertical strip in the middle of the page that almost no row
+    // puts ink into, with text on both sides of it
+    if (rows.length < LAYOUT_CONFIG.MIN_ROWS_FOR_COLUMNS) return [];
+
+    const binSize = LAYOUT_CONFIG.GUTTER_BIN_SIZE;
+    const extents = rows.map(row => row.glyphs
+      .filter(glyph => glyph.text !== ' ')
+      .map(glyph => this.glyphExtent(glyph, scale)));
+    const width = pageWidth || Math.max(...extents.flat().map(([, end]) => end));
+    const coverage = new Array(Math.ceil(width / binSize) + 1).fill(0);
+
+    extents.forEach(rowExtents => {
+      const covered = new Set();
+      rowExtents.forEach(([start, end]) => {
+        for (let bin = Math.floor(start / binSize); bin < Math.ceil(end / binSize); bin++) {
+          covered.add(bin);
+        }
+      });
+      covered.forEach(bin => {
+        if (bin < coverage.length) coverage[bin]++;
+      });
+    });
+
+    const maxCoverage = rows.length * LAYOUT_CONFIG.GUTTER_MAX_COVERAGE;
+    const firstBin = Math.floor(width * LAYOUT_CONFIG.GUTTER_REGION[0] / binSize);
+    const lastBin = Math.ceil(width * LAYOUT_CONFIG.GUTTER_REGION[1] / binSize);
+    const gutters = [];
+
+    let runStart = null;
+    for (let bin = firstBin; bin <= lastBin + 1; bin++) {
+      const isEmpty = bin <= lastBin && coverage[bin] <= maxCoverage;
+      if (isEmpty && runStart === null) runStart = bin;
+      if (!isEmpty && runStart !== null) {
+        const start = runStart * binSize;
+        const end = bin * binSize;
+        runStart = null;
+        if (end - start < LAYOUT_CONFIG.MIN_GUTTER_WIDTH) continue;
+
+        const rowsLeft = extents.filter(rowExtents => rowExtents.some(([, glyphEnd]) => glyphEnd <= start)).length;
+        const rowsRight = extents.filter(rowExtents => rowExtents.some(([glyphStart]) => glyphStart >= end)).length;
+        const minRows = rows.length * LAYOUT_CONFIG.MIN_COLUMN_ROWS;
+        if (rowsLeft >= minRows && rowsRight >= minRows) {
+          gutters.push({ start, end, center: (start + end) / 2 });
+        }
+      }
+    }
+
+    return gutters;
+  }
+
+  layoutPage(glyphs, pageWidth) {
+    // Put a page's lines in reading order. Rows between full-width rows form a
+    // band that is read column by column; narrow or small-print columns
+    // (sidebars, captions) are read after the main columns of their band.
+    const rows = this.groupGlyphsIntoRows(glyphs);
+    const scale = this.estimateWidthScale(rows.map(row => row.glyphs), LAYOUT_CONFIG.EXTENT_SCALE_PERCENTILE);
+    const gutters = this.detectColumnGutters(rows, scale, pageWidth);
+    if (gutters.length === 0) {
+      return this.groupGlyphsIntoLines(glyphs);
+    }
+
+    const columnOf = x => gutters.filter(gutter => x >= gutter.center).length;
+    const lines = [];
+    let band = gutters.map(() => []).concat([[]]);
+
+    const pushBlock = blockLines => {
+      if (blockLines.length === 0) return;
+      if (lines.length > 0) lines.push({ ...blockLines[0], text: '', blockBreak: true });
+      lines.push(...blockLines);
+    };
+
+    const flushBand = () => {
+      const blocks = band
+        .map(columnGlyphs => this.groupGlyphsIntoLines(columnGlyphs))
+        .filter(blockLines => blockLines.length > 0)
+        .map(blockLines => ({
+          lines: blockLines,
+          width: Math.max(...blockLines.map(line => line.endX)) - Math.min(...blockLines.map(line => line.x)),
+          fontSize: this.median(blockLines.map(line => line.fontSize)) || 0,
+          size: blockLines.reduce((sum, line) => sum + line.text.length, 0)
+        }));
+      band = gutters.map(() => []).concat([[]]);
+      if (blocks.length === 0) return;
+
+      const main = blocks.reduce((largest, block) => block.size > largest.size ? block : largest);
+      const isSidebar = block => block !== main && (
+        block.width < main.width * LAYOUT_CONFIG.SIDEBAR_WIDTH_RATIO ||
+        block.fontSize < main.fontSize * LAYOUT_CONFIG.SIDEBAR_FONT_RATIO
+      );
+      blocks.filter(block => !isSidebar(block)).forEach(block => pushBlock(block.lines));
+      blocks.filter(isSidebar).forEach(block => pushBlock(block.lines));
+    };
+
+    // A horizontal strip of whitespace across every column also ends a band,
+    // e.g. the space above a heading set inside one column
+    const lineSpacing = this.median(rows.slice(1).map((row, index) => row.y - rows[index].y)) || 0;
+
+    rows.forEach((row, index) => {
+      if (index > 0 && row.y - rows[index - 1].y > lineSpacing * LAYOUT_CONFIG.BAND_GAP_RATIO) {
+        flushBand();
+      }
+
+      // Headings and other rows that run through a whole gutter end the band
+      const spansGutter = row.glyphs.some(glyph => {
+        if (glyph.text === ' ') return false;
+        const [start, end] = this.glyphExtent(glyph, scale);
+        return gutters.some(gutter => start < gutter.start && end > gutter.end);
+      });
+
+      if (spansGutter) {
+        flushBand();
+        pushBlock(this.groupGlyphsIntoLines(row.glyphs));
+      } else {
+        row.glyphs.forEach(glyph => band[columnOf(glyph.x)].push(glyph));
+      }
+    });
+    flushBand();
+
+    return lines;
+  }
+
+  removeRunningHeadersAndFooters(pageData) {
+    // Lines that recur at the top or bottom of many pages (book title, chapter
+    // name, page numbers) are page furniture, not chapter text
+    const pages = Object.keys(pageData).sort((a, b) => parseInt(a) - parseInt(b));
+    const edgeLines = LAYOUT_CONFIG.RUNNING_LINE_DEPTH;
+    // Page numbers change from page to page and spacing varies between
+    // extractions, so both are ignored when comparing lines
+    const normalize = line => line.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, '');
+    const isPageNumber = key => /^[#ivxlc.\-–]{1,8}$/.test(key) && /#|^[ivxlc]+$/.test(key);
+    // Short numbered labels ("Step 2") repeat too; a numbered line needs some
+    // words to count as a running title
+    const hasRunningTitle = key => !key.includes('#') ||
+      key.replace(/[^a-z]/g, '').length >= LAYOUT_CONFIG.RUNNING_TITLE_MIN_LETTERS;
+
+    const pageLines = {};
+    const counts = {};
+    pages.forEach(page => {
+      pageLines[page] = (pageData[page] || '').split('\n');
+      const contentIndexes = pageLines[page]
+        .map((line, index) => line.trim() ? index : -1)
+        .filter(index => index !== -1);
+      const edgeIndexes = [...contentIndexes.slice(0, edgeLines), ...contentIndexes.slice(-edgeLines)];
+      new Set(edgeIndexes.map(index => normalize(pageLines[page][index]))).forEach(key => {
+        counts[key] = (counts[key] || 0) + 1;
+      });
+    });
+
+    const minRepeats = Math.max(2, Math.ceil(pages.length * LAYOUT_CONFIG.RUNNING_LINE_RATIO));
+    const isRunningLine = key => key && (
+      (counts[key] >= minRepeats && pages.length >= 2 && hasRunningTitle(key)) || isPageNumber(key)
+    );
+
+    const removed = new Set();
+    const cleaned = {};
+    pages.forEach(page => {
+      const lines = pageLines[page];
+      const contentIndexes = lines
+        .map((line, index) => line.trim() ? index : -1)
+        .filter(index => index !== -1);
+      const edgeIndexes = new Set([...contentIndexes.slice(0, edgeLines), ...contentIndexes.slice(-edgeLines)]);
+
+      cleaned[page] = lines
+        .filter((line, index) => {
+          if (!edgeIndexes.has(index) || !isRunningLine(normalize(line))) return true;
+          removed.add(line.trim());
+          return false;
+        })
+        .join('\n');
+    });
+
+    return { pageData: cleaned, removedLines: [...removed] };
+  }
+
+  linesToText(lines) {
+    // Join lines, re-attaching words hyphenated (or soft-hyphenated) across a
+    // line break; block breaks become blank lines
+    return lines
+      .map(line => line.text)
+      .join('\n')
+      .replace(/([a-z])[-\u00AD]\n([a-z])/g, '$1$2')
+      .replace(/\u00AD/g, '');
+  }
+
+  async extractTextWithPdfReader(pdfBuffer, { signal, onPage } = {}) {
+    return new Promise((resolve, reject) => {
+      this.checkCancelled(signal);
+      // PdfReader stops pdf2json on abort but never calls back again. It also
+      // never removes its abort listener, so it gets a signal of its own
+      // rather than the caller's, which may outlive many parses
+      const parseController = new AbortController();
+      const reader = new PdfReader({ signal: parseController.signal });
+      const onAbort = () => {
+        parseController.abort(signal.reason);
+        reject(this.createCancellationError(signal));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      let pageGlyphs = {};
+      let pageWidths = {};
+      let currentPage = 0;
+      
+      reader.parseBuffer(pdfBuffer, (err, item) => {
+        if (err) {
+          signal?.removeEventListener('abort', onAbort);
+          console.error('PDFReader error:', err);
+          resolve({ text: '', pageData: {} });
+          return;
+        }
+        
+        if (!item) {
+          signal?.removeEventListener('abort', onAbort);
+          if (currentPage) onPage?.(currentPage);
+          // End of document - rebuild lines from glyph positions for each page
+          const sortedPages = Object.keys(pageGlyphs)
+            .sort((a, b) => parseInt(a) - parseInt(b));
+          
+          const pageData = {};
+          const pageLines = {};
+          sortedPages.forEach(page => {
+            pageLines[page] = this.layoutPage(pageGlyphs[page], pageWidths[page]);
+            pageData[page] = this.linesToText(pageLines[page]);
+          });
+          
+          const fullText = sortedPages.map(page => pageData[page] || '').join('\n').trim();
+          
+          resolve({ 
+            text: fullText, 
+            pageData,
+            pageLines,
+            totalPages: sortedPages.length 
+          });
+          return;
+        }
+        
+        if (item.page) {
+          // PdfReader hands pages over only once pdf2json has parsed the whole file
+          if (currentPage) onPage?.(currentPage);
+          currentPage = item.page;
+          pageWidths[currentPage] = item.width;
+          if (!pageGlyphs[currentPage]) {
+            pageGlyphs[currentPage] = [];
+          }
+        }
+        
+        if (item.text) {
+          const textStyle = item.R?.[0]?.TS;
+          pageGlyphs[currentPage] = pageGlyphs[currentPage] || [];
+          pageGlyphs[currentPage].push(this.createGlyph(item.x, item.y, item.w, item.text, textStyle));
+        }
+      });
+    });
+  }
+
+  async extractTextWithPDF2JSON(pdfBuffer, { signal, onPage } = {}) {
+    return new Promise((resolve, reject) => {
+      this.checkCancelled(signal);
+      const pdfParser = new PDF2JSON(null, 1);
+
+      // pdf2json yields between pages, so a cancellation can stop it part way
+      const onAbort = () => {
+        pdfParser.destroy();
+        reject(this.createCancellationError(signal));
       };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      let parsedPages = 0;
+      pdfParser.on('data', page => {
+        if (page) onPage?.(++parsedPages);
+      });
       
       pdfParser.on('pdfParser_dataError', errData => {
-        console.error = originalConsoleError;
-        console.warn = originalConsoleWarn;
+        signal?.removeEventListener('abort', onAbort);
         console.error('PDF text extraction failed:', errData.parserError);
-        resolve(''); // Return empty string if parsing fails
+        resolve({ text: '', pageData: {} }); // Return empty data if parsing fails
       });
       
       pdfParser.on('pdfParser_dataReady', pdfData => {
-        console.error = originalConsoleError;
-        console.warn = originalConsoleWarn;
+        signal?.removeEventListener('abort', onAbort);
         
         try {
-          let fullText = '';
           let pageData = {};
+          let pageLines = {};
           
           if (pdfData && pdfData.Pages) {
             pdfData.Pages.forEach((page, pageIndex) => {
               const pageNum = pageIndex + 1;
-              let pageText = '';
+              const glyphs = [];
               
               if (page.Texts && Array.isArray(page.Texts)) {
                 page.Texts.forEach(textItem => {
                   if (textItem.R && Array.isArray(textItem.R)) {
-                    textItem.R.forEach(textRun => {
-                      if (textRun.T) {
-                        try {
-                          let decodedText = decodeURIComponent(textRun.T);
-                          // Remove excessive spacing between characters
-                          decodedText = decodedText.replace(/\s{2,}/g, ' ').trim();
-                          if (decodedText) {
-                            pageText += decodedText + ' ';
-                          }
-                        } catch (decodeError) {
-                          // Skip malformed text or try cleaning the raw text
-                          let cleanText = textRun.T.replace(/\s{2,}/g, ' ').trim();
-                          if (cleanText) {
-                            pageText += cleanText + ' ';
-                          }
-                        }
-                      }
-                    });
+                    // Unlike pdfreader items, pdf2json runs are still URI-encoded
+                    const runText = textItem.R.map(textRun => decodeURIComponent(textRun.T || '')).join('');
+                    if (runText) {
+                      glyphs.push(this.createGlyph(textItem.x, textItem.y, textItem.w, runText, textItem.R[0].TS));
+                    }
                   }
                 });
               }
               
-              pageData[pageNum] = pageText.trim();
-              fullText += pageText + '\n'; // Add line break between pages
+              pageLines[pageNum] = this.layoutPage(glyphs, page.Width);
+              pageData[pageNum] = this.linesToText(pageLines[pageNum]);
             });
           }
           
-          // Apply intelligent text reconstruction to fix PDF extraction issues
-          const cleanedText = this.reconstructText(fullText);
+          const fullText = Object.keys(pageData)
+            .sort((a, b) => parseInt(a) - parseInt(b))
+            .map(page => pageData[page])
+            .join('\n')
+            .trim();
+          
           resolve({ 
-            text: cleanedText, 
+            text: fullText, 
             pageData: pageData,
+            pageLines: pageLines,
             totalPages: Object.keys(pageData).length 
           });
         } catch (error) {
@@ -412,117 +1771,693 @@ class ClimbingResourcesServer {
       });
       
       try {
-        pdfParser.parseBuffer(pdfBuffer);
+        pdfParser.parseBuffer(pdfBuffer, 0); // Verbosity 0: errors only, no font warnings
       } catch (parseError) {
-        console.error = originalConsoleError;
-        console.warn = originalConsoleWarn;
+        signal?.removeEventListener('abort', onAbort);
         console.error('PDF buffer parsing failed:', parseError);
-        resolve('');
+        resolve({ text: '', pageData: {} });
       }
     });
   }
 
-  async comprehensiveExtractPDF(filePath, chapterName, bookName = null) {
+  async comprehensiveExtractPDF(filePath, chapterName, bookName, { signal, onProgress = () => {} } = {}) {
+    // Concurrent requests for one chapter share a single extraction, which
+    // reports progress to all of them and is only cancelled once every
+    // request waiting for it has been
+    this.checkCancelled(signal);
+    const key = `${bookName}/${chapterName}`;
+    let shared = this.activeExtractions.get(key);
+    if (shared) {
+      console.error(`Joining the extraction of ${key} already under way`);
+    } else {
+      const controller = new AbortController();
+      shared = { controller, waiting: 0, listeners: new Set() };
+      shared.promise = this.runLockedExtraction(filePath, chapterName, bookName, {
+        signal: controller.signal,
+        onProgress: (message, remainingSteps) => shared.listeners.forEach(listener => listener(message, remainingSteps))
+      }).finally(() => this.activeExtractions.delete(key));
+      this.activeExtractions.set(key, shared);
+    }
+
+    shared.waiting++;
+    shared.listeners.add(onProgress);
+    return new Promise((resolve, reject) => {
+      let left = false;
+      const leave = () => {
+        if (left) return false;
+        left = true;
+        shared.waiting--;
+        shared.listeners.delete(onProgress);
+        signal?.removeEventListener('abort', onAbort);
+        return true;
+      };
+      const onAbort = () => {
+        if (!leave()) return;
+        if (shared.waiting === 0) shared.controller.abort(signal.reason);
+        reject(this.createCancellationError(signal));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      shared.promise.then(
+        result => leave() && resolve(result),
+        error => leave() && reject(error)
+      );
+    });
+  }
+
+  async runLockedExtraction(filePath, chapterName, bookName, options) {
+    const startedAt = Date.now();
+    const lock = await this.acquireExtractionLock(bookName, chapterName, options.signal);
+    try {
+      if (lock.waited) {
+        // Another process has just extracted this chapter; use its cache
+        // unless the PDF changed again in the meantime
+        const cached = await this.getCachedContent(bookName, chapterName);
+        const cacheStat = await fs.stat(this.getCacheFilePath(bookName, chapterName)).catch(() => null);
+        if (cached?.text && cacheStat?.mtimeMs >= startedAt &&
+            !(await this.getCacheStaleness(bookName, chapterName, cached))) {
+          await this.updateSearchIndex(bookName, chapterName, cached);
+          return cached;
+        }
+      }
+      return await this.extractChapterPDF(filePath, chapterName, bookName, options);
+    } finally {
+      await lock.release();
+    }
+  }
+
+  async acquireExtractionLock(bookName, chapterName, signal) {
+    // The lock file is created exclusively and touched while held, so a lock
+    // that stops being touched was left by a process that died
+    const lockPath = this.getCacheFilePath(bookName, chapterName).replace(/\.json$/i, '.lock');
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+    const owner = JSON.stringify({ pid: process.pid, threadId, hostname: hostname(), token: randomUUID(), acquiredAt: new Date().toISOString() });
+
+    let waited = false;
+    for (;;) {
+      this.checkCancelled(signal);
+      try {
+        await fs.writeFile(lockPath, owner, { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      // Read the owner before the age, so a lock replaced in between is
+      // seen as fresh rather than blamed on the abandoned one
+      const lockOwner = await fs.readFile(lockPath, 'utf-8').catch(() => null);
+      const lockStat = await fs.stat(lockPath).catch(() => null);
+      if (lockOwner !== null && lockStat && Date.now() - lockStat.mtimeMs > LOCK_CONFIG.STALE_MS) {
+        if (await this.takeOverAbandonedLock(lockPath, lockOwner)) {
+          console.error(`Removed abandoned extraction lock for ${bookName}/${chapterName}`);
+        }
+        continue;
+      }
+      if (!waited) console.error(`Waiting for another process extracting ${bookName}/${chapterName}...`);
+      waited = true;
+      await new Promise(resolve => setTimeout(resolve, LOCK_CONFIG.POLL_MS));
+    }
+
+    const heartbeat = setInterval(async () => {
+      // Stop refreshing a lock that was taken over as abandoned, so another
+      // process's lock is never kept alive by this one
+      if (await fs.readFile(lockPath, 'utf-8').catch(() => null) !== owner) {
+        clearInterval(heartbeat);
+        console.error(`Lost the extraction lock for ${bookName}/${chapterName}`);
+        return;
+      }
+      const now = new Date();
+      fs.utimes(lockPath, now, now).catch(() => {});
+    }, LOCK_CONFIG.REFRESH_MS);
+    heartbeat.unref();
+    return {
+      waited,
+      release: async () => {
+        clearInterval(heartbeat);
+        // Leave the lock alone if it was taken over as abandoned
+        if (await fs.readFile(lockPath, 'utf-8').catch(() => null) === owner) {
+          await fs.rm(lockPath, { force: true });
+        }
+      }
+    };
+  }
+
+  async takeOverAbandonedLock(lockPath, abandonedOwner) {
+    // Move the lock aside instead of deleting it: only one waiter's rename can
+    // succeed, and the moved file shows whether it was still the abandoned
+    // lock or one that a faster waiter had already put in its place
+    const claimPath = `${lockPath}.${randomUUID().slice(0, 8)}.tmp`;
+    try {
+      await fs.rename(lockPath, claimPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    const claimedOwner = await fs.readFile(claimPath, 'utf-8').catch(() => null);
+    if (claimedOwner !== abandonedOwner) {
+      // A live lock: hand it back, unless yet another lock has appeared
+      await fs.link(claimPath, lockPath).catch(() => {});
+    }
+    await fs.rm(claimPath, { force: true });
+    return claimedOwner === abandonedOwner;
+  }
+
+  async writeFileAtomically(filePath, data) {
+    // Write beside the target and rename over it, so readers and crashes only
+    // ever see the old file or the new one, never a partial write
+    const tempPath = `${filePath}.${process.pid}-${threadId}-${randomUUID().slice(0, 8)}.tmp`;
+    try {
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async removeAbandonedTempFiles(dir, files) {
+    // Temp files of writes cut short by a crash; recent ones may belong to a
+    // write still under way in another process
+    for (const file of files.filter(name => name.endsWith('.tmp'))) {
+      const tempPath = path.join(dir, file);
+      const tempStat = await fs.stat(tempPath).catch(() => null);
+      if (tempStat && Date.now() - tempStat.mtimeMs > LOCK_CONFIG.STALE_MS) {
+        await fs.rm(tempPath, { force: true });
+      }
+    }
+  }
+
+  async extractChapterPDF(filePath, chapterName, bookName, { signal, onProgress = () => {} } = {}) {
     try {
       console.error(`Starting comprehensive extraction for ${chapterName}...`);
       
+      const pdfStat = await fs.stat(filePath);
       const pdfBuffer = await fs.readFile(filePath);
+      this.checkCancelled(signal);
+      onProgress(`parse: reading ${chapterName}`);
+      const onPage = page => onProgress(`parse: page ${page}`);
       
-      // Try different PDF text extraction methods for better results
-      console.error(`Trying PDFReader for text extraction...`);
-      let extractionResult = await this.extractTextWithPdfReader(pdfBuffer);
+      // Try different PDF text extraction methods for better results.
+      // PDF2JSON goes first because it reports each page as it is parsed,
+      // while PdfReader only hands pages over once the whole file is parsed
+      console.error(`Trying PDF2JSON for text extraction...`);
+      let extractionResult = await this.extractTextWithPDF2JSON(pdfBuffer, { signal, onPage });
       
-      // If PDFReader fails or gives poor results, fall back to PDF2JSON
+      // If PDF2JSON fails or gives poor results, fall back to PDFReader
       if (!extractionResult.text || extractionResult.text.length < 100) {
-        console.error(`PDFReader failed, falling back to PDF2JSON...`);
-        extractionResult = await this.extractTextWithPDF2JSON(pdfBuffer);
+        console.error(`PDF2JSON failed, falling back to PDFReader...`);
+        onProgress('parse: PDF2JSON found no text, trying PDFReader');
+        extractionResult = await this.extractTextWithPdfReader(pdfBuffer, { signal, onPage });
       }
       
-      const { text: fullText, pageData, totalPages } = extractionResult;
+      // Clean and segment each page separately so page lengths still line up
+      // with the full text
+      const { totalPages } = extractionResult;
+      const lexicon = await this.getSegmentationLexicon();
+      const unresolvedCounts = {};
+      const pageData = {};
+      const { pageData: layoutPageData, removedLines } = this.removeRunningHeadersAndFooters(extractionResult.pageData || {});
+      const layoutPages = Object.keys(layoutPageData);
+      for (const [index, page] of layoutPages.entries()) {
+        // Yield between pages so progress goes out and cancellations come in
+        await new Promise(resolve => setImmediate(resolve));
+        this.checkCancelled(signal);
+        const segmented = this.segmentWords(this.reconstructText(layoutPageData[page]), lexicon);
+        pageData[page] = segmented.text;
+        segmented.unresolved.forEach(word => {
+          unresolvedCounts[word] = (unresolvedCounts[word] || 0) + 1;
+        });
+        // Chunking and indexing remain after the last page
+        onProgress(`layout: page ${index + 1} of ${layoutPages.length}`, layoutPages.length - index - 1 + 2);
+      }
+      const fullText = Object.keys(pageData)
+        .sort((a, b) => parseInt(a) - parseInt(b))
+        .map(page => pageData[page])
+        .join('\n');
       console.error(`Extracted ${fullText.length} characters of text from ${totalPages} pages`);
       
+      // Build the chapter outline from heading fonts
+      const headings = this.detectHeadings(extractionResult.pageLines || {});
+      const outline = this.buildChapterOutline(headings, pageData);
+      
       // Create page-aware text chunks with accurate page references
-      const textChunks = this.createPageAwareChunks(fullText, pageData, totalPages);
+      const textChunks = this.createPageAwareChunks(fullText, pageData, totalPages, outline, this.getChunkSize(bookName));
+      onProgress(`chunk: ${textChunks.length} chunks`, 1);
       
       // Cache the extracted content
       const extractedContent = {
+        bookName,
         chapterName,
         extractedAt: new Date().toISOString(),
         text: fullText,
         totalPages,
         pageData,
+        outline,
         textChunks,
-        searchIndex: this.createSearchIndex(fullText, textChunks)
+        chunkingVersion: EXTRACTION_CONFIG.CHUNKING_VERSION,
+        extractorVersion: EXTRACTION_CONFIG.EXTRACTOR_VERSION,
+        // The PDF this cache was extracted from, to tell when it is replaced
+        source: {
+          sha256: createHash('sha256').update(pdfBuffer).digest('hex'),
+          size: pdfStat.size,
+          modifiedAt: pdfStat.mtimeMs
+        },
+        searchIndex: this.createSearchIndex(fullText, textChunks),
+        runningHeaders: removedLines,
+        segmentationReport: {
+          unresolvedWordCount: Object.keys(unresolvedCounts).length,
+          unresolvedWords: Object.entries(unresolvedCounts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, SEGMENTATION_CONFIG.REPORT_LIMIT)
+            .map(([word, count]) => ({ word, count }))
+        }
       };
       
-      const cacheFile = path.join(EXTRACTED_DIR, `${chapterName.replace('.pdf', '.json')}`);
-      await fs.writeFile(cacheFile, JSON.stringify(extractedContent, null, 2));
+      // Last chance to cancel: once writing starts the cache is finished
+      // and indexed, so no half-written file is left behind
+      this.checkCancelled(signal);
+      const cacheFile = this.getCacheFilePath(bookName, chapterName);
+      await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+      await this.writeFileAtomically(cacheFile, JSON.stringify(extractedContent, null, 2));
+      await this.updateSearchIndex(bookName, chapterName, extractedContent);
+      onProgress('index: cached and indexed', 0);
       
       return extractedContent;
       
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.error(`Extraction of ${bookName}/${chapterName} cancelled`);
+        throw error;
+      }
       throw new Error(`Comprehensive PDF extraction failed: ${error.message}`);
     }
   }
 
-  createPageAwareChunks(fullText, pageData, totalPages) {
-    const chunks = [];
-    const chunkSize = EXTRACTION_CONFIG.CHUNK_SIZE;
-    
-    // Create a mapping of character positions to page numbers
-    const charToPageMap = this.createCharToPageMap(fullText, pageData);
-    
-    for (let i = 0; i < fullText.length; i += chunkSize) {
-      const chunkText = fullText.substring(i, i + chunkSize);
-      const endChar = Math.min(i + chunkSize, fullText.length);
-      
-      // Find actual page range for this chunk using character mapping
-      const startPage = charToPageMap[i] || 1;
-      const endPage = charToPageMap[endChar - 1] || totalPages;
-      
-      // Extract page-specific content for better reference accuracy
-      const pageReferences = this.extractPageReferences(chunkText, startPage, endPage);
-      
-      // Detect section heading in this chunk
-      const sectionHeading = this.detectSectionHeading(chunkText);
-      
-      chunks.push({
-        id: chunks.length,
-        text: chunkText,
-        startChar: i,
-        endChar: endChar,
-        startPage,
-        endPage,
-        pageReferences,
-        sectionHeading,
-        topics: this.extractTopics(chunkText)
-      });
-    }
-    
-    return chunks;
+  getExtractionOptions(extra) {
+    // Progress goes to clients that sent a progressToken with the request;
+    // the request's signal is aborted by notifications/cancelled
+    const progressToken = extra?._meta?.progressToken;
+    let progress = 0;
+    const onProgress = (message, remainingSteps) => {
+      progress++;
+      if (progressToken === undefined) return;
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress,
+          ...(remainingSteps !== undefined && { total: progress + remainingSteps }),
+          message
+        }
+      }).catch(error => console.error(`Could not send progress: ${error.message}`));
+    };
+    return { signal: extra?.signal, onProgress };
   }
 
-  createCharToPageMap(fullText, pageData) {
-    const charToPageMap = {};
-    let currentChar = 0;
-    
-    // Build mapping based on actual page content
-    Object.keys(pageData)
-      .sort((a, b) => parseInt(a) - parseInt(b))
-      .forEach(pageNum => {
-        const pageText = pageData[pageNum] || '';
-        const pageLength = pageText.length + 1; // +1 for line break
-        
-        for (let i = 0; i < pageLength && currentChar < fullText.length; i++) {
-          charToPageMap[currentChar] = parseInt(pageNum);
-          currentChar++;
-        }
-      });
-    
-    return charToPageMap;
+  createCancellationError(signal) {
+    const reason = typeof signal?.reason === 'string' ? `: ${signal.reason}` : '';
+    return Object.assign(new Error(`Extraction cancelled${reason}`), { name: 'AbortError' });
   }
 
-  extractPageReferences(text, startPage, endPage) {
+  checkCancelled(signal) {
+    if (signal?.aborted) throw this.createCancellationError(signal);
+  }
+
+  detectHeadings(pageLines) {
+    // Body text is the font size and weight carrying the most characters;
+    // lines set larger, or bold where body text is regular, are headings
+    const roundSize = size => Math.round(size * OUTLINE_CONFIG.FONT_SIZE_PRECISION) / OUTLINE_CONFIG.FONT_SIZE_PRECISION;
+    const styleOf = line => `${roundSize(line.fontSize)}|${line.bold ? 'bold' : 'regular'}`;
+    const pages = Object.keys(pageLines).sort((a, b) => parseInt(a) - parseInt(b));
+
+    const styleChars = {};
+    pages.forEach(page => pageLines[page].forEach(line => {
+      if (!line.text) return;
+      styleChars[styleOf(line)] = (styleChars[styleOf(line)] || 0) + line.text.length;
+    }));
+    const bodyStyle = Object.keys(styleChars).reduce((best, style) =>
+      !best || styleChars[style] > styleChars[best] ? style : best, null);
+    if (!bodyStyle) return [];
+
+    const bodySize = parseFloat(bodyStyle);
+    const bodyBold = bodyStyle.endsWith('|bold');
+    const isHeadingLine = line => line.text && !line.blockBreak && (
+      line.fontSize >= bodySize * OUTLINE_CONFIG.HEADING_SIZE_RATIO ||
+      (line.bold && !bodyBold && line.fontSize >= bodySize * OUTLINE_CONFIG.BOLD_HEADING_SIZE_RATIO)
+    );
+
+    // A heading line continues onto the next one when both are set in the
+    // same style at the same left edge and the first looks unfinished; short
+    // stacked headings ("Attaching to the Anchor" / "The Top Shelf") stay apart
+    const continues = (previous, line) => {
+      const lastWord = previous.text.split(' ').pop().toLowerCase();
+      return line.y > previous.y &&
+        Math.abs(line.x - previous.x) <= OUTLINE_CONFIG.WRAP_INDENT_TOLERANCE &&
+        !/[.!?]$/.test(previous.text) && (
+          previous.text.length >= OUTLINE_CONFIG.WRAP_MIN_LENGTH ||
+          HEADING_MINOR_WORDS.has(lastWord) || /[-–&]$/.test(lastWord) ||
+          /^[a-z(]/.test(line.text) || !line.text.includes(' ')
+        );
+    };
+
+    const runs = [];
+    pages.forEach(page => {
+      let run = null;
+      let previous = null;
+      pageLines[page].forEach(line => {
+        if (!isHeadingLine(line)) {
+          run = null;
+          return;
+        }
+        const style = styleOf(line);
+        if (run && run.style === style && continues(previous, line)) {
+          run.lines.push(line.text);
+        } else {
+          run = { page: parseInt(page), style, fontSize: roundSize(line.fontSize), bold: line.bold, lines: [line.text] };
+          runs.push(run);
+        }
+        previous = line;
+      });
+    });
+
+    // Long styled runs are lead paragraphs, styled addresses are watermarks,
+    // and a bare "Chapter 10" label sits above the real chapter title
+    const headings = runs.filter(run => {
+      const text = run.lines.join(' ');
+      return run.lines.length <= OUTLINE_CONFIG.MAX_HEADING_LINES &&
+        text.length <= OUTLINE_CONFIG.MAX_HEADING_LENGTH &&
+        (text.match(/[A-Za-z]/g) || []).length >= 3 &&
+        !/[.,;:]$/.test(text) &&
+        !/@|www\.|https?:/i.test(text) &&
+        !/^(chapter|part)\s+([\d]+|[ivxlc]+)$/i.test(text);
+    });
+
+    // Larger styles are higher levels; bold outranks regular at the same size
+    const styles = [...new Map(headings.map(heading => [heading.style, heading])).values()]
+      .sort((a, b) => b.fontSize - a.fontSize || Number(b.bold) - Number(a.bold))
+      .map(heading => heading.style);
+
+    return headings.map(heading => ({
+      page: heading.page,
+      lines: heading.lines,
+      level: Math.min(styles.indexOf(heading.style) + 1, OUTLINE_CONFIG.MAX_HEADING_LEVELS)
+    }));
+  }
+
+  formatHeadingTitle(text) {
+    const title = text.replace(/\s+/g, ' ').trim();
+    if (/[a-z]/.test(title)) return title;
+
+    // All-caps headings read better in title case inside section paths
+    return title
+      .toLowerCase()
+      .split(' ')
+      .map((word, index) => index > 0 && HEADING_MINOR_WORDS.has(word)
+        ? word
+        : word.replace(/^([^a-z]*)([a-z])/, (match, lead, letter) => lead + letter.toUpperCase()))
+      .join(' ');
+  }
+
+  buildChapterOutline(headings, pageData) {
+    // Headings come from the raw layout, so each one is found again in the
+    // cleaned page text to get its offset into the chapter text. Headings
+    // removed as running headers are not found and drop out.
+    const normalize = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const pageStarts = [];
+    const located = [];
+    let pageStart = 0;
+
+    Object.keys(pageData)
+      .sort((a, b) => parseInt(a) - parseInt(b))
+      .forEach(page => {
+        const pageNum = parseInt(page);
+        const pageText = pageData[page] || '';
+        const lines = pageText.split('\n');
+        const lineStarts = [];
+        lines.reduce((offset, line) => {
+          lineStarts.push(offset);
+          return offset + line.length + 1;
+        }, 0);
+
+        let cursor = 0;
+        headings.filter(heading => heading.page === pageNum).forEach(heading => {
+          const index = lines.findIndex((line, lineIndex) =>
+            lineIndex >= cursor && normalize(line) && normalize(line) === normalize(heading.lines[0]));
+          if (index === -1) return;
+
+          let lineCount = 1;
+          while (lineCount < heading.lines.length &&
+                 normalize(lines[index + lineCount] || '') === normalize(heading.lines[lineCount])) {
+            lineCount++;
+          }
+          cursor = index + lineCount;
+
+          located.push({
+            title: this.formatHeadingTitle(lines.slice(index, index + lineCount).join(' ')),
+            level: heading.level,
+            startChar: pageStart + lineStarts[index],
+            startPage: pageNum
+          });
+        });
+
+        pageStarts.push({ page: pageNum, start: pageStart });
+        pageStart += pageText.length + 1;
+      });
+
+    const textLength = Math.max(pageStart - 1, 0);
+    const pageAt = offset => pageStarts.filter(entry => entry.start <= offset).pop()?.page || 1;
+
+    // Each section runs until the next heading at the same or a higher level
+    const outline = [];
+    const stack = [];
+    located.forEach((heading, index) => {
+      const next = located.slice(index + 1).find(other => other.level <= heading.level);
+      const endChar = next ? next.startChar : textLength;
+      const section = {
+        ...heading,
+        endChar,
+        endPage: pageAt(Math.max(endChar - 1, heading.startChar)),
+        children: []
+      };
+
+      while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) stack.pop();
+      (stack.length > 0 ? stack[stack.length - 1].children : outline).push(section);
+      stack.push(section);
+    });
+
+    return outline;
+  }
+
+  getSectionPath(outline, offset) {
+    // Titles of the nested sections containing a character offset
+    const sectionPath = [];
+    let sections = outline || [];
+    while (sections.length > 0) {
+      const section = sections.find(candidate => offset >= candidate.startChar && offset < candidate.endChar);
+      if (!section) break;
+      sectionPath.push(section.title);
+      sections = section.children;
+    }
+    return sectionPath;
+  }
+
+  getSectionHeading(cached, offset) {
+    // Caches extracted before outlines were recorded have no section paths
+    const sectionPath = this.getSectionPath(cached.outline, offset);
+    return sectionPath.length > 0 ? sectionPath.join(' > ') : null;
+  }
+
+  getMatchSectionPath(cached, chunk, words) {
+    // Report the section of the first match rather than where the chunk starts
+    const fallback = chunk.sectionHeading ? [chunk.sectionHeading] : [];
+    if (!cached.outline) return fallback;
+    const chunkLower = chunk.text.toLowerCase();
+    const offsets = words.map(word => chunkLower.indexOf(word)).filter(index => index !== -1);
+    const offset = chunk.startChar + (offsets.length > 0 ? Math.min(...offsets) : 0);
+    const sectionPath = this.getSectionPath(cached.outline, offset);
+    return sectionPath.length > 0 ? sectionPath : fallback;
+  }
+
+  getMatchSectionHeading(cached, chunk, words) {
+    return this.getMatchSectionPath(cached, chunk, words).join(' > ') || null;
+  }
+
+  countOutlineSections(outline) {
+    return (outline || []).reduce((count, section) => count + 1 + this.countOutlineSections(section.children), 0);
+  }
+
+  getChunkSize(bookName) {
+    // Short step-by-step guides read better in smaller chunks than dense textbooks
+    return this.getBookMetadata(bookName).chunkSize || EXTRACTION_CONFIG.CHUNK_SIZE;
+  }
+
+  flattenOutline(outline) {
+    return (outline || []).flatMap(section => [section, ...this.flattenOutline(section.children)]);
+  }
+
+  findParagraphBoundaries(fullText) {
+    // A paragraph starts after a blank line, or after a line that ends a
+    // sentence well short of the usual line length
+    const lines = fullText.split('\n');
+    const typicalLength = this.median(lines.map(line => line.trim().length).filter(length => length > 0)) || 0;
+    const boundaries = [];
+    let offset = 0;
+
+    lines.forEach(line => {
+      const nextOffset = offset + line.length + 1;
+      const trimmed = line.trim();
+      const endsParagraph = !trimmed || (
+        /[.!?:)"”’]$/.test(trimmed) && trimmed.length < typicalLength * EXTRACTION_CONFIG.PARAGRAPH_END_RATIO
+      );
+      if (endsParagraph && nextOffset < fullText.length) boundaries.push(nextOffset);
+      offset = nextOffset;
+    });
+
+    return boundaries;
+  }
+
+  findSplitPoint(fullText, from, limit) {
+    // Split an over-long paragraph at the last sentence end before the limit,
+    // else at the last word break, so no chunk ends mid-word
+    const window = fullText.substring(from, limit);
+    const minSplit = Math.floor(window.length / 4);
+    const sentenceEnds = [...window.matchAll(/[.!?]["”’)]?\s+/g)].map(match => match.index + match[0].length);
+    const sentenceEnd = sentenceEnds.filter(index => index > minSplit).pop();
+    if (sentenceEnd) return from + sentenceEnd;
+
+    const wordBreak = window.search(/\s\S*$/);
+    return from + (wordBreak > minSplit ? wordBreak + 1 : window.length);
+  }
+
+  findOverlapStart(fullText, end, floor) {
+    // Repeat the tail of the previous chunk, starting at a sentence (or at
+    // least a word) so the overlap reads cleanly
+    const candidate = Math.max(end - EXTRACTION_CONFIG.CHUNK_OVERLAP, floor);
+    const tail = fullText.substring(candidate, end);
+    const sentenceStart = tail.search(/[.!?]["”’)]?\s+\S/);
+    if (sentenceStart !== -1) {
+      return candidate + sentenceStart + tail.substring(sentenceStart).search(/\s\S/) + 1;
+    }
+    const wordStart = tail.search(/\s\S/);
+    return wordStart !== -1 ? candidate + wordStart + 1 : end;
+  }
+
+  createPageAwareChunks(fullText, pageData, totalPages, outline = [], chunkSize = EXTRACTION_CONFIG.CHUNK_SIZE) {
+    const chunks = [];
+    
+    // Create a mapping of character positions to page numbers
+    const charToPageMap = this.createCharToPageMap(fullText, pageData, totalPages);
+
+    const addChunk = (start, contentStart, end) => {
+      while (start < end && /\s/.test(fullText[start])) start++;
+      while (end > start && /\s/.test(fullText[end - 1])) end--;
+      if (end <= start) return;
+
+      const chunkText = fullText.substring(start, end);
+      const startPage = charToPageMap[start] || 1;
+      const endPage = charToPageMap[end - 1] || totalPages;
+      
+      // Extract page-specific content for better reference accuracy
+      const pageReferences = this.extractPageReferences(chunkText, startPage, endPage);
+      
+      // Deepest section containing the whole chunk, from the chapter outline
+      const startPath = this.getSectionPath(outline, start);
+      const endPath = this.getSectionPath(outline, end - 1);
+      const sectionPath = startPath.filter((title, index) => endPath[index] === title &&
+        startPath.slice(0, index).every((parent, parentIndex) => endPath[parentIndex] === parent));
+      
+      chunks.push({
+        id: chunks.length,
+        text: chunkText,
+        startChar: start,
+        endChar: end,
+        overlapChars: Math.max(contentStart - start, 0),
+        startPage,
+        endPage,
+        pageReferences,
+        sectionPath,
+        sectionHeading: sectionPath.length > 0 ? sectionPath.join(' > ') : null,
+        topics: this.extractTopics(chunkText)
+      });
+    };
+
+    // Chunks are built from whole paragraphs and start afresh at each section,
+    // except that very short sections (a numbered step, a warning) share a
+    // chunk with what follows; only paragraphs longer than a chunk are split
+    const sectionStarts = new Set(this.flattenOutline(outline).map(section => section.startChar));
+    const boundaries = [...new Set([
+      ...sectionStarts,
+      ...this.findParagraphBoundaries(fullText),
+      fullText.length
+    ])]
+      .filter(boundary => boundary > 0 && boundary <= fullText.length)
+      .sort((a, b) => a - b);
+
+    let chunkStart = 0;      // First character of the chunk, including overlap
+    let contentStart = 0;    // First character not already in the previous chunk
+    let chunkEnd = 0;
+
+    // Short pending text runs on only into a sibling or child section
+    const runsOn = sectionStart => {
+      if (fullText.substring(contentStart, sectionStart).trim().length >=
+          chunkSize * EXTRACTION_CONFIG.MIN_SECTION_CHUNK_RATIO) return false;
+      const currentPath = this.getSectionPath(outline, contentStart).join(' > ');
+      const parentPath = this.getSectionPath(outline, sectionStart).slice(0, -1).join(' > ');
+      return parentPath === currentPath ||
+        parentPath === this.getSectionPath(outline, contentStart).slice(0, -1).join(' > ');
+    };
+
+    boundaries.forEach(boundary => {
+      if (chunkEnd > contentStart && boundary - chunkStart > chunkSize) {
+        addChunk(chunkStart, contentStart, chunkEnd);
+        chunkStart = this.findOverlapStart(fullText, chunkEnd, contentStart);
+        contentStart = chunkEnd;
+      }
+
+      while (boundary - chunkStart > chunkSize) {
+        const split = this.findSplitPoint(fullText, contentStart, chunkStart + chunkSize);
+        addChunk(chunkStart, contentStart, split);
+        chunkStart = this.findOverlapStart(fullText, split, contentStart);
+        contentStart = split;
+      }
+      chunkEnd = boundary;
+
+      if (sectionStarts.has(boundary) && !runsOn(boundary)) {
+        addChunk(chunkStart, contentStart, chunkEnd);
+        chunkStart = contentStart = boundary;
+      }
+    });
+    addChunk(chunkStart, contentStart, chunkEnd);
+    
+    return chunks;
+  }
+
+  createCharToPageMap(fullText, pageData, totalPages = 1) {
+    const charToPageMap = {};
+    let currentChar = 0;
+    const pages = Object.keys(pageData || {}).sort((a, b) => parseInt(a) - parseInt(b));
+    
+    // Older caches kept no per-page text, so spread their pages evenly
+    if (pages.length === 0) {
+      for (let i = 0; i < fullText.length; i++) {
+        charToPageMap[i] = Math.min(Math.floor(i / fullText.length * totalPages) + 1, totalPages);
+      }
+      return charToPageMap;
+    }
+    
+    // Build mapping based on actual page content
+    pages.forEach(pageNum => {
+      const pageText = pageData[pageNum] || '';
+      const pageLength = pageText.length + 1; // +1 for line break
+      
+      for (let i = 0; i < pageLength && currentChar < fullText.length; i++) {
+        charToPageMap[currentChar] = parseInt(pageNum);
+        currentChar++;
+      }
+    });
+    
+    return charToPageMap;
+  }
+
+  extractPageReferences(text, startPage, endPage) {
     // Extract key topics and concepts with their page context
     const references = [];
     const keyTerms = this.extractTopics(text);
@@ -541,47 +2476,6 @@ class ClimbingResourcesServer {
     return references;
   }
 
-  detectSectionHeading(text) {
-    // Detect section headings in the text
-    const headingPatterns = [
-      // All caps headings
-      /^([A-Z][A-Z\s&-]{5,})\s*$/m,
-      // Title case headings
-      /^([A-Z][a-zA-Z\s&-]{10,})\s*$/m,
-      // Numbered sections
-      /^(\d+\.\s*[A-Z][a-zA-Z\s&-]{5,})\s*$/m,
-      // Common climbing section patterns
-      /^(BASIC\s+[A-Z]+|ADVANCED\s+[A-Z]+|SAFETY\s+[A-Z]+|EQUIPMENT\s+[A-Z]+|TECHNIQUE\s+[A-Z]+)\s*$/m
-    ];
-
-    for (const pattern of headingPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        return match[1].trim();
-      }
-    }
-
-    // Look for common climbing section keywords at the start of text
-    const commonSections = [
-      'sleeping system', 'campsite selection', 'food and water', 'stoves',
-      'basic safety', 'knots', 'anchors', 'belaying', 'rappelling',
-      'rock protection', 'leading', 'aid climbing', 'snow travel', 
-      'ice climbing', 'avalanche safety', 'glacier travel', 'rescue',
-      'first aid', 'leadership', 'navigation', 'weather'
-    ];
-
-    const textLower = text.toLowerCase();
-    for (const section of commonSections) {
-      if (textLower.includes(section)) {
-        return section.split(' ').map(word => 
-          word.charAt(0).toUpperCase() + word.slice(1)
-        ).join(' ');
-      }
-    }
-
-    return null;
-  }
-
   getChapterTitle(chapterName) {
     // Handle new format: "Chapter X. Title.pdf"
     const newMatch = chapterName.match(/^Chapter\s*(\d+)\.\s*(.+)\.pdf$/i);
@@ -667,21 +2561,24 @@ class ClimbingResourcesServer {
         authors: ['John Long', 'Bob Gaines'],
         edition: '2nd Edition',
         publisher: 'Falcon Guides',
-        year: '2013'
+        year: '2013',
+        chunkSize: 2000
       },
       'Mountaineering - The Freedom of the Hills': {
         title: 'Mountaineering: The Freedom of the Hills',
         authors: ['The Mountaineers'],
         edition: '9th Edition',
         publisher: 'The Mountaineers Books',
-        year: '2017'
+        year: '2017',
+        chunkSize: 2000
       },
       'VDiff - Sports Basics': {
         title: 'Sport Climbing Basics',
         authors: ['VDiff Climbing'],
         edition: '1st Edition',
         publisher: 'VDiff',
-        year: '2020'
+        year: '2020',
+        chunkSize: 1200
       }
     };
     
@@ -711,6 +2608,14 @@ class ClimbingResourcesServer {
     return citation;
   }
 
+  getCitations(bookName, chapterName, sectionHeading = null) {
+    return {
+      full: this.formatCitation(bookName, chapterName, sectionHeading),
+      inline: this.formatInlineCitation(bookName, chapterName),
+      short: this.formatShortCitation(bookName, chapterName)
+    };
+  }
+
   formatInlineCitation(bookName, chapterName, pageRef = null) {
     const metadata = this.getBookMetadata(bookName);
     const year = metadata.year;
@@ -745,38 +2650,1122 @@ class ClimbingResourcesServer {
     return citation;
   }
 
+  tokenizeForSearch(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+(?:['’][a-z]+)*/g) || [])
+      .map(token => token.replace(/['’]s$/, '').replace(/['’]/g, ''))
+      .filter(token => token.length >= SEARCH_CONFIG.MIN_TERM_LENGTH && !SEARCH_STOPWORDS.has(token))
+      .map(token => this.stemTerm(token));
+  }
+
+  stemTerm(term) {
+    // Light stemmer for plurals and -ed/-ing forms, so "belayed", "belaying"
+    // and "belays" share one index term. Short words (ATC, PAS, nut) and
+    // words with digits are left as they are.
+    if (term.length < 4 || /\d/.test(term)) return term;
+    let stem = term;
+    if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+    else if (stem.endsWith('ies')) stem = stem.length > 4 ? `${stem.slice(0, -3)}y` : stem.slice(0, -1);
+    else if (/(?:ch|sh|x|z)es$/.test(stem)) stem = stem.slice(0, -2);
+    else if (/[^su]s$/.test(stem)) stem = stem.slice(0, -1);
+
+    const suffix = stem.endsWith('eed') ? null : stem.match(/(?:ing|ed)$/)?.[0];
+    const base = suffix ? stem.slice(0, -suffix.length) : '';
+    if (base.length >= 3 && /[aeiouy]/.test(base)) {
+      stem = base;
+      if (/(?:at|bl|iz|is)$/.test(stem)) {
+        stem += 'e';                                  // equalized → equalize
+      } else if (/([^aeiouylsz])\1$/.test(stem) || (stem.endsWith('ll') && stem.length > 5)) {
+        stem = stem.slice(0, -1);                     // clipping → clip, rappelled → rappel
+      } else if (/^[^aeiou]*[aeiou][^aeiouwxy]$/.test(stem)) {
+        stem += 'e';                                  // placed → place
+      }
+    }
+    return stem;
+  }
+
+  tokenizePhrase(text) {
+    // Stems of every word, stopwords and digits included, so "figure of
+    // eight" and "figure 8" can be matched word for word
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || []).map(token => this.stemTerm(token));
+  }
+
+  getThesaurus() {
+    // Thesaurus entries keyed by their stems, for longest-match lookup
+    if (this.thesaurus) return this.thesaurus;
+    const entries = new Map();
+    let maxPhraseLength = 1;
+
+    CLIMBING_THESAURUS.groups.forEach(group => {
+      const terms = group.terms || [];
+      const phrases = [
+        ...terms.map(text => ({ text, variant: false })),
+        ...(group.variants || []).map(text => ({ text, variant: true }))
+      ];
+      phrases.forEach(({ text, variant }) => {
+        const key = this.tokenizePhrase(text).join(' ');
+        if (!key) return;
+        maxPhraseLength = Math.max(maxPhraseLength, key.split(' ').length);
+        if (!entries.has(key)) entries.set(key, []);
+        entries.get(key).push({ terms, variant });
+      });
+    });
+
+    this.thesaurus = { entries, maxPhraseLength };
+    return this.thesaurus;
+  }
+
+  createQueryAlternative(text, weight, kind) {
+    // One way of writing a query concept: the query's own words, a thesaurus
+    // synonym or a spelling correction. Single indexed words are scored from
+    // the postings; anything else is matched as a phrase of stems.
+    const stems = this.tokenizePhrase(text);
+    const indexTerms = this.tokenizeForSearch(text);
+    return {
+      text,
+      weight,
+      kind,
+      isExpansion: kind !== 'query',
+      stems,
+      indexTerms,
+      isPhrase: stems.length > 1 || indexTerms[0] !== stems[0]
+    };
+  }
+
+  expandQuery(query, vocabulary = null) {
+    // Split a query into concepts. Thesaurus phrases are matched longest
+    // first and bring their synonyms along as lower-weighted alternatives;
+    // a brand name or slang variant expands to the group's terms only.
+    // Words missing from the vocabulary are matched to its closest terms,
+    // except acronyms typed in capitals and words too short to correct.
+    const { entries, maxPhraseLength } = this.getThesaurus();
+    const words = query.match(/[A-Za-z0-9]+/g) || [];
+    const stems = words.map(word => this.stemTerm(word.toLowerCase()));
+    const concepts = [];
+    let index = 0;
+
+    while (index < words.length) {
+      let match = null;
+      for (let length = Math.min(maxPhraseLength, words.length - index); length > 0 && !match; length--) {
+        const key = stems.slice(index, index + length).join(' ');
+        if (entries.has(key)) match = { key, length, groups: entries.get(key) };
+      }
+
+      const length = match ? match.length : 1;
+      const text = words.slice(index, index + length).join(' ').toLowerCase();
+      const alternatives = new Map([[stems.slice(index, index + length).join(' '), this.createQueryAlternative(text, 1, 'query')]]);
+      match?.groups.forEach(({ terms }) => terms.forEach(term => {
+        const key = this.tokenizePhrase(term).join(' ');
+        if (!alternatives.has(key)) {
+          alternatives.set(key, this.createQueryAlternative(term, SEARCH_CONFIG.EXPANSION_WEIGHT, 'synonym'));
+        }
+      }));
+
+      const [original] = alternatives.values();
+      const isAcronym = /^[A-Z0-9]+$/.test(words[index]) && /[A-Z]/.test(words[index]);
+      if (!match && vocabulary && !isAcronym && !original.isPhrase && !vocabulary.has(original.indexTerms[0])) {
+        this.findSimilarTerms(original.indexTerms[0], vocabulary, this.getFuzzyDistance(original.indexTerms[0]))
+          .slice(0, SEARCH_CONFIG.FUZZY_MAX_TERMS)
+          .forEach(similar => alternatives.set(similar.term,
+            this.createQueryAlternative(similar.term, SEARCH_CONFIG.FUZZY_WEIGHT, 'spelling')));
+      }
+
+      const searchable = [...alternatives.values()].filter(alternative => alternative.indexTerms.length > 0);
+      if (searchable.length > 0 && !concepts.some(concept => concept.text === text)) {
+        concepts.push({ text, alternatives: searchable });
+      }
+      index += length;
+    }
+
+    return concepts;
+  }
+
+  getFuzzyDistance(term) {
+    // Edits allowed when matching a misspelt word to the vocabulary
+    if (term.length < SEARCH_CONFIG.FUZZY_MIN_LENGTH || /\d/.test(term)) return 0;
+    return term.length >= SEARCH_CONFIG.FUZZY_LONG_WORD_LENGTH ? 2 : 1;
+  }
+
+  editDistance(a, b, maxDistance) {
+    // Optimal string alignment distance (adjacent swaps count as one edit),
+    // giving up as soon as it must exceed maxDistance
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (value, column) => column);
+
+    for (let row = 1; row <= a.length; row++) {
+      const current = [row];
+      let rowMinimum = row;
+      for (let column = 1; column <= b.length; column++) {
+        const cost = a[row - 1] === b[column - 1] ? 0 : 1;
+        let distance = Math.min(previous[column] + 1, current[column - 1] + 1, previous[column - 1] + cost);
+        if (row > 1 && column > 1 && a[row - 1] === b[column - 2] && a[row - 2] === b[column - 1]) {
+          distance = Math.min(distance, beforePrevious[column - 2] + 1);
+        }
+        current.push(distance);
+        rowMinimum = Math.min(rowMinimum, distance);
+      }
+      if (rowMinimum > maxDistance) return maxDistance + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  findSimilarTerms(term, vocabulary, maxDistance) {
+    // Vocabulary terms within maxDistance edits, nearest and most common first
+    if (maxDistance < 1) return [];
+    const matches = [];
+    vocabulary.forEach((frequency, candidate) => {
+      if (candidate === term || /\d/.test(candidate) || Math.abs(candidate.length - term.length) > maxDistance) return;
+      const distance = this.editDistance(term, candidate, maxDistance);
+      if (distance <= maxDistance) matches.push({ term: candidate, distance, frequency });
+    });
+    return matches.sort((a, b) => a.distance - b.distance || b.frequency - a.frequency);
+  }
+
+  getQuerySuggestions(concepts, vocabulary) {
+    // "Did you mean" queries for a search that matched nothing: each word
+    // missing from the vocabulary is swapped for a close, common term
+    const replacements = concepts.map(concept => {
+      const [original] = concept.alternatives;
+      if (original.indexTerms.every(term => vocabulary.has(term))) return [concept.text];
+      const similar = original.indexTerms.length === 1
+        ? this.findSimilarTerms(original.indexTerms[0], vocabulary,
+            Math.max(2, Math.ceil(original.indexTerms[0].length / SEARCH_CONFIG.SUGGESTION_LENGTH_PER_EDIT)))
+            .filter(match => match.frequency >= SEARCH_CONFIG.SUGGESTION_MIN_FREQUENCY)
+        : [];
+      return similar.slice(0, SEARCH_CONFIG.SUGGESTION_COUNT).map(match => match.term);
+    });
+    if (replacements.some(options => options.length === 0)) return [];
+
+    return Array.from({ length: SEARCH_CONFIG.SUGGESTION_COUNT }, (value, rank) =>
+      replacements.map(options => options[Math.min(rank, options.length - 1)]).join(' '))
+      .filter((suggestion, rank, suggestions) => suggestions.indexOf(suggestion) === rank);
+  }
+
+  formatSuggestions(concepts, vocabulary) {
+    const suggestions = this.getQuerySuggestions(concepts, vocabulary);
+    return suggestions.length > 0
+      ? `Did you mean: ${suggestions.map(suggestion => `"${suggestion}"`).join(', ')}?\n`
+      : '';
+  }
+
+  tokenizeSearchQuery(query) {
+    // Split a query into words, "quoted phrases", field:values, parentheses
+    // and the AND/OR/NOT operators (operators only count in capitals)
+    const tokens = [];
+    let position = 0;
+    const readPhrase = () => {
+      const start = position;
+      const close = query.indexOf('"', start + 1);
+      if (close === -1) throw new Error(`Unclosed quote at character ${start + 1}`);
+      const text = query.slice(start + 1, close).trim();
+      if (!text) throw new Error(`Empty quoted phrase at character ${start + 1}`);
+      position = close + 1;
+      return text;
+    };
+
+    while (position < query.length) {
+      const start = position;
+      const char = query[position];
+      if (/\s/.test(char)) {
+        position++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, position: start });
+        position++;
+      } else if (char === '"') {
+        tokens.push({ type: 'term', text: readPhrase(), phrase: true, field: null, position: start });
+      } else {
+        const word = query.slice(position).match(/^[^\s()"]+/)[0];
+        // Only field names start a filter; any other "word:" ("Warning:
+        // rockfall") is ordinary text
+        const prefix = word.match(/^([a-z]+):/i);
+        const field = prefix?.[1].toLowerCase();
+        if (!SEARCH_CONFIG.QUERY_FIELDS.includes(field)) {
+          position += word.length;
+          tokens.push(/^(?:AND|OR|NOT)$/.test(word)
+            ? { type: word, position: start }
+            : { type: 'term', text: word, phrase: false, field: null, position: start });
+          continue;
+        }
+
+        position += prefix[0].length;
+        if (query[position] === '"') {
+          tokens.push({ type: 'term', text: readPhrase(), phrase: true, field, position: start });
+          continue;
+        }
+        const value = query.slice(position).match(/^[^\s()"]*/)[0];
+        if (!value) throw new Error(`Missing value after "${prefix[0]}" at character ${start + 1}`);
+        position += value.length;
+        tokens.push({ type: 'term', text: value, phrase: false, field, position: start });
+      }
+    }
+    return tokens;
+  }
+
+  parseSearchQuery(query) {
+    // Precedence from loosest to tightest: OR, then terms side by side (at
+    // least one must match, while negations and field filters must all
+    // hold), then AND, then NOT.
+    // Throws with the position of the problem for malformed queries.
+    const tokens = this.tokenizeSearchQuery(query);
+    let index = 0;
+    const describe = token => (token
+      ? `"${token.type === 'term' ? token.text : token.type}" at character ${token.position + 1}`
+      : 'the end of the query');
+
+    const parseUnary = () => {
+      const token = tokens[index];
+      if (token?.type === 'NOT') {
+        index++;
+        return { type: 'not', child: parseUnary() };
+      }
+      if (token?.type === '(') {
+        index++;
+        const node = parseOr();
+        if (tokens[index]?.type !== ')') throw new Error(`Missing ")" for the "(" at character ${token.position + 1}`);
+        index++;
+        return node;
+      }
+      if (token?.type === 'term') {
+        index++;
+        return { ...token };
+      }
+      throw new Error(`Expected a search term but found ${describe(token)}`);
+    };
+    const parseAnd = () => {
+      const children = [parseUnary()];
+      while (tokens[index]?.type === 'AND') {
+        index++;
+        children.push(parseUnary());
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+    const parseSequence = () => {
+      const children = [];
+      while (index < tokens.length && tokens[index].type !== 'OR' && tokens[index].type !== ')') {
+        children.push(parseAnd());
+      }
+      if (children.length === 0) throw new Error(`Expected a search term but found ${describe(tokens[index])}`);
+      return children.length === 1 ? children[0] : { type: 'sequence', children };
+    };
+    const parseOr = () => {
+      const children = [parseSequence()];
+      while (tokens[index]?.type === 'OR') {
+        index++;
+        children.push(parseSequence());
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    if (tokens.length === 0) throw new Error('The query is empty');
+    const tree = parseOr();
+    if (index < tokens.length) throw new Error(`Unmatched ${describe(tokens[index])}`);
+    return tree;
+  }
+
+  expandQueryTree(node, vocabulary) {
+    // Attach search concepts to the parsed query. Neighbouring plain words
+    // are expanded together so thesaurus phrases like "belay device" are
+    // found; quoted phrases are matched exactly. Returns null for parts with
+    // nothing searchable (a lone stopword).
+    const expandWords = text => {
+      const terms = this.expandQuery(text, vocabulary).map(concept => ({ type: 'term', concept }));
+      if (terms.length === 0) return null;
+      return terms.length === 1 ? terms[0] : { type: 'sequence', children: terms };
+    };
+    const expandChildren = children => children.map(child => this.expandQueryTree(child, vocabulary)).filter(Boolean);
+    const isPlainWord = child => child.type === 'term' && !child.phrase && !child.field;
+
+    switch (node.type) {
+      case 'term': {
+        if (node.field) {
+          const stems = this.tokenizePhrase(node.text);
+          if (stems.length === 0) throw new Error(`${node.field}: at character ${node.position + 1} has no words to match`);
+          return { ...node, stems };
+        }
+        if (!node.phrase) return expandWords(node.text);
+        const alternative = this.createQueryAlternative(node.text.toLowerCase(), 1, 'query');
+        if (alternative.indexTerms.length === 0) {
+          throw new Error(`The phrase "${node.text}" at character ${node.position + 1} has no searchable words`);
+        }
+        return { type: 'term', concept: { text: node.text.toLowerCase(), phrase: true, alternatives: [alternative] } };
+      }
+      case 'not': {
+        const child = this.expandQueryTree(node.child, vocabulary);
+        return child && { type: 'not', child };
+      }
+      case 'sequence': {
+        const children = [];
+        for (let start = 0; start < node.children.length;) {
+          let end = start;
+          while (end < node.children.length && isPlainWord(node.children[end])) end++;
+          if (end > start) {
+            const expanded = expandWords(node.children.slice(start, end).map(child => child.text).join(' '));
+            if (expanded) children.push(...(expanded.type === 'sequence' ? expanded.children : [expanded]));
+            start = end;
+          } else {
+            children.push(...expandChildren([node.children[start]]));
+            start++;
+          }
+        }
+        if (children.length === 0) return null;
+        return children.length === 1 ? children[0] : { type: 'sequence', children };
+      }
+      default: {
+        const children = expandChildren(node.children);
+        if (children.length === 0) return null;
+        return children.length === 1 ? children[0] : { type: node.type, children };
+      }
+    }
+  }
+
+  getScoringConcepts(node, negated = false) {
+    // Concepts that rank results: every searched term outside a NOT.
+    // Field terms and excluded terms only filter.
+    if (node.type === 'not') return this.getScoringConcepts(node.child, !negated);
+    if (node.type === 'term') return node.concept && !negated ? [node.concept] : [];
+    return node.children.flatMap(child => this.getScoringConcepts(child, negated))
+      .filter((concept, index, concepts) => concepts.findIndex(other => other.text === concept.text) === index);
+  }
+
+  matchesQueryTree(node, context) {
+    switch (node.type) {
+      case 'or':
+        return node.children.some(child => this.matchesQueryTree(child, context));
+      case 'and':
+        return node.children.every(child => this.matchesQueryTree(child, context));
+      case 'not':
+        return !this.matchesQueryTree(node.child, context);
+      case 'sequence': {
+        const isRequired = child => child.type === 'not' || Boolean(child.field);
+        const required = node.children.filter(isRequired);
+        const optional = node.children.filter(child => !isRequired(child));
+        return required.every(child => this.matchesQueryTree(child, context)) &&
+          (optional.length === 0 || optional.some(child => this.matchesQueryTree(child, context)));
+      }
+      default:
+        return node.field ? this.matchesQueryField(node, context) : this.matchesQueryConcept(node.concept, context);
+    }
+  }
+
+  matchesQueryConcept(concept, { chapter, chunkStems }) {
+    // A concept matches a chunk through its text or its chapter's metadata,
+    // the same fields it is ranked on
+    return concept.alternatives.some(alternative =>
+      this.countPhrase(chunkStems, alternative.stems) > 0 ||
+      Object.values(chapter.metadataFields).some(({ stems }) => this.countPhrase(stems, alternative.stems) > 0));
+  }
+
+  matchesQueryField(node, { chapter, chunk }) {
+    const values = {
+      book: () => [chapter.book.replace(/_/g, ' '), this.getBookMetadata(chapter.book)?.title],
+      chapter: () => [chapter.chapterTitle, chapter.chapterName.replace(/\.pdf$/i, ''), chapter.metadata?.title],
+      section: () => [
+        chunk.sectionHeading,
+        ...this.flattenOutline(chapter.outline)
+          .filter(section => section.startChar < chunk.endChar && section.endChar > chunk.startChar)
+          .map(section => section.title)
+      ],
+      keyword: () => chapter.metadata?.keywords || []
+    }[node.field]();
+    return values.filter(Boolean).some(value => this.countPhrase(this.tokenizePhrase(value), node.stems) > 0);
+  }
+
+  resolveSearchScope(corpus, { books, chapters, disciplines, pageRange } = {}) {
+    // Turn the search_content filters into chapter and chunk predicates.
+    // Book and chapter names match as phrases of their words, so "anchors"
+    // selects Climbing Anchors and "chapter 1" does not select Chapter 10.
+    // Throws when a filter is malformed or matches nothing extracted.
+    const matchesName = (names, filter) => {
+      const stems = this.tokenizePhrase(filter);
+      return stems.length > 0 && names.filter(Boolean).some(name => this.countPhrase(this.tokenizePhrase(name), stems) > 0);
+    };
+    const bookNames = chapter => [chapter.book, this.getBookMetadata(chapter.book)?.title];
+    const chapterNames = chapter => [chapter.chapterName.replace(/\.pdf$/i, ''), chapter.chapterTitle, chapter.metadata?.title];
+    const checkNames = (filters, label, getNames) => {
+      if (filters === undefined) return null;
+      if (!Array.isArray(filters) || filters.some(filter => typeof filter !== 'string')) {
+        throw new Error(`${label} must be a list of names`);
+      }
+      const unmatched = filters.filter(filter => !corpus.chapters.some(chapter => matchesName(getNames(chapter), filter)));
+      if (unmatched.length > 0) {
+        throw new Error(`No extracted chapters match ${label} ${unmatched.map(filter => `"${filter}"`).join(', ')}`);
+      }
+      return filters.length > 0 ? filters : null;
+    };
+
+    const bookFilters = checkNames(books, 'books', bookNames);
+    const chapterFilters = checkNames(chapters, 'chapters', chapterNames);
+    let disciplineFilters = null;
+    if (disciplines !== undefined) {
+      const unknown = Array.isArray(disciplines)
+        ? disciplines.filter(discipline => !CLIMBING_DISCIPLINES.includes(String(discipline).toLowerCase()))
+        : [disciplines];
+      if (unknown.length > 0) {
+        throw new Error(`Unknown disciplines ${unknown.map(discipline => `"${discipline}"`).join(', ')}; use ${CLIMBING_DISCIPLINES.join(', ')}`);
+      }
+      disciplineFilters = disciplines.length > 0 ? disciplines.map(discipline => discipline.toLowerCase()) : null;
+    }
+    if (pageRange !== undefined) {
+      const { from, to } = pageRange || {};
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+        throw new Error('page_range needs whole page numbers with 1 <= from <= to');
+      }
+    }
+
+    const includeChapter = chapter =>
+      (!bookFilters || bookFilters.some(filter => matchesName(bookNames(chapter), filter))) &&
+      (!chapterFilters || chapterFilters.some(filter => matchesName(chapterNames(chapter), filter))) &&
+      (!disciplineFilters || (chapter.metadata?.disciplines || [])
+        .some(discipline => disciplineFilters.includes(discipline.toLowerCase())));
+    const includeChunk = pageRange
+      ? chunk => chunk.startPage <= pageRange.to && chunk.endPage >= pageRange.from
+      : null;
+    return { includeChapter: bookFilters || chapterFilters || disciplineFilters ? includeChapter : null, includeChunk };
+  }
+
+  describeSearchScope({ books, chapters, disciplines, pageRange }) {
+    const parts = [];
+    if (books?.length) parts.push(`books: ${books.join(', ')}`);
+    if (chapters?.length) parts.push(`chapters: ${chapters.join(', ')}`);
+    if (disciplines?.length) parts.push(`disciplines: ${disciplines.join(', ')}`);
+    if (pageRange) parts.push(`pages ${pageRange.from}-${pageRange.to}`);
+    return parts.join('; ');
+  }
+
+  createSearchCursor(fingerprint, offset) {
+    return Buffer.from(JSON.stringify({ fingerprint, offset })).toString('base64url');
+  }
+
+  readSearchCursor(cursor, fingerprint) {
+    // Cursors are only valid for the query and filters they were made for
+    let decoded = null;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    } catch (error) {
+      // Reported below
+    }
+    if (!Number.isInteger(decoded?.offset) || decoded.offset < 0) {
+      throw new Error('The cursor is not valid');
+    }
+    if (decoded.fingerprint !== fingerprint) {
+      throw new Error('The cursor belongs to a different query or filters; repeat the original search to page through it');
+    }
+    return decoded.offset;
+  }
+
+  formatQueryTree(node, nested = false) {
+    // The parsed query written back out, with its grouping made explicit
+    const group = (children, separator) => {
+      const text = children.map(child => this.formatQueryTree(child, true)).join(separator);
+      return nested ? `(${text})` : text;
+    };
+    switch (node.type) {
+      case 'or':
+        return group(node.children, ' OR ');
+      case 'and':
+        return group(node.children, ' AND ');
+      case 'sequence':
+        return group(node.children, ' ');
+      case 'not':
+        return `NOT ${this.formatQueryTree(node.child, true)}`;
+      default: {
+        const text = node.field ? node.text : node.concept.text;
+        const quoted = node.phrase || node.concept?.phrase || /\s/.test(text) ? `"${text}"` : text;
+        return node.field ? `${node.field}:${quoted}` : quoted;
+      }
+    }
+  }
+
+  countPhrase(textStems, stems) {
+    let count = 0;
+    for (let index = textStems.indexOf(stems[0]); index !== -1; index = textStems.indexOf(stems[0], index + 1)) {
+      if (stems.every((stem, offset) => textStems[index + offset] === stem)) count++;
+    }
+    return count;
+  }
+
+  getExpansions(concepts, kind) {
+    // Query terms with their alternatives of one kind
+    return concepts
+      .map(concept => ({
+        term: concept.text,
+        alternatives: concept.alternatives.filter(alternative => alternative.kind === kind).map(alternative => alternative.text)
+      }))
+      .filter(({ alternatives }) => alternatives.length > 0);
+  }
+
+  listExpansions(concepts, kind) {
+    // "abseil → rappel, rappelling; ..." for the alternatives of one kind
+    return this.getExpansions(concepts, kind)
+      .map(({ term, alternatives }) => `${term} → ${alternatives.join(', ')}`)
+      .join('; ');
+  }
+
+  describeExpansion(concept, alternative) {
+    return `${concept.text} → ${alternative.text}${alternative.kind === 'spelling' ? ' (spelling)' : ''}`;
+  }
+
+  matchConcepts(text, concepts) {
+    // Which query concepts a passage mentions, and the thesaurus synonyms or
+    // spelling corrections ("abseil → rappelling") that matched for them
+    const textStems = this.tokenizePhrase(text);
+    const expansions = [];
+    let matchedConcepts = 0;
+    concepts.forEach(concept => {
+      const matching = concept.alternatives.filter(alternative => this.countPhrase(textStems, alternative.stems) > 0);
+      if (matching.length > 0) matchedConcepts++;
+      matching
+        .filter(alternative => alternative.isExpansion)
+        .forEach(alternative => expansions.push(this.describeExpansion(concept, alternative)));
+    });
+    return { matchedConcepts, expansions };
+  }
+
+  getConceptWords(concepts) {
+    // Every way of writing the query, for snippets and section lookup
+    return [...new Set(concepts.flatMap(concept =>
+      concept.alternatives.map(alternative => alternative.text.toLowerCase())))];
+  }
+
   createSearchIndex(fullText, textChunks) {
-    const index = {};
+    // Term frequencies and lengths per chunk, for BM25 ranking across the corpus
+    const postings = {};
+    const chunkLengths = {};
     
     textChunks.forEach(chunk => {
-      const words = chunk.text.toLowerCase()
-        .split(/\W+/)
-        .filter(word => word.length > 2);
+      const terms = this.tokenizeForSearch(chunk.text);
+      chunkLengths[chunk.id] = terms.length;
       
-      words.forEach(word => {
-        if (!index[word]) {
-          index[word] = [];
+      const counts = new Map();
+      terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+      counts.forEach((count, term) => {
+        if (!Object.hasOwn(postings, term)) {
+          postings[term] = [];
         }
-        index[word].push(chunk.id);
+        postings[term].push([chunk.id, count]);
       });
     });
     
-    return index;
+    return { version: SEARCH_CONFIG.INDEX_VERSION, chunkLengths, postings };
+  }
+
+  async getChapterMetadata(bookName, chapterName) {
+    try {
+      const metadataPath = path.join(BOOKS_DIR, bookName, chapterName.replace(/\.pdf$/i, '.json'));
+      return JSON.parse(await fs.readFile(metadataPath, 'utf-8'));
+    } catch (error) {
+      return null; // No sidecar for this chapter
+    }
+  }
+
+  getMetadataFields(metadata) {
+    const fields = {
+      title: metadata?.title || '',
+      description: metadata?.description || '',
+      keywords: (metadata?.keywords || []).join(' ')
+    };
+    return Object.fromEntries(Object.entries(fields).map(([field, text]) => {
+      const terms = this.tokenizeForSearch(text);
+      const counts = new Map();
+      terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+      return [field, { counts, length: terms.length, stems: this.tokenizePhrase(text) }];
+    }));
+  }
+
+  createSearchIndexEntry(bookName, chapterName, cached, metadata, cacheStat) {
+    // What a query or the library listing needs from one chapter, so
+    // neither reads its cache. Page references are left out and rebuilt for
+    // the chunks that are shown.
+    return {
+      book: bookName,
+      chapterName,
+      chapterTitle: cached.chapterName || chapterName,
+      extractedAt: cached.extractedAt,
+      extractorVersion: cached.extractorVersion ?? null,
+      source: cached.source || null,
+      totalPages: cached.totalPages,
+      textLength: cached.text?.length || 0,
+      cacheSize: cacheStat?.size ?? null,
+      cacheModifiedAt: cacheStat?.mtimeMs ?? null,
+      outline: cached.outline || null,
+      chunks: cached.textChunks.map(({ pageReferences, ...chunk }) => chunk),
+      searchIndex: cached.searchIndex,
+      metadata
+    };
+  }
+
+  computeCorpusStatistics(entries) {
+    // Document frequencies and average field lengths across every chunk in
+    // the library
+    const corpus = {
+      chapters: [],
+      documentFrequency: new Map(),
+      fieldLengths: { body: 0, title: 0, keywords: 0, description: 0 },
+      documentCount: 0
+    };
+    entries.forEach(entry => {
+      const chapter = { ...entry, metadataFields: this.getMetadataFields(entry.metadata) };
+      corpus.chapters.push(chapter);
+      this.addChapterStatistics(corpus, chapter, 1);
+    });
+    return corpus;
+  }
+
+  updateCorpusStatistics(corpus, key, entry) {
+    // Swap one chapter's share of the statistics instead of recounting the
+    // library. Searches under way keep the corpus they started with, so the
+    // result is a new corpus rather than an edited one.
+    const updated = {
+      chapters: [...corpus.chapters],
+      documentFrequency: new Map(corpus.documentFrequency),
+      fieldLengths: { ...corpus.fieldLengths },
+      documentCount: corpus.documentCount
+    };
+    const index = updated.chapters.findIndex(chapter => `${chapter.book}/${chapter.chapterName}` === key);
+    if (index !== -1) {
+      this.addChapterStatistics(updated, updated.chapters[index], -1);
+    }
+    if (entry) {
+      const chapter = { ...entry, metadataFields: this.getMetadataFields(entry.metadata) };
+      this.addChapterStatistics(updated, chapter, 1);
+      if (index !== -1) updated.chapters[index] = chapter;
+      else updated.chapters.push(chapter);
+    } else if (index !== -1) {
+      updated.chapters.splice(index, 1);
+    }
+    return updated;
+  }
+
+  addChapterStatistics(corpus, chapter, sign) {
+    // Add (sign 1) or remove (sign -1) one chapter's chunks, field lengths
+    // and document frequencies
+    const { postings, chunkLengths } = chapter.searchIndex;
+    const chunkCount = chapter.chunks.length;
+    corpus.documentCount += sign * chunkCount;
+    corpus.fieldLengths.body += sign * Object.values(chunkLengths).reduce((sum, length) => sum + length, 0);
+
+    const addFrequency = (term, count) => {
+      const frequency = (corpus.documentFrequency.get(term) || 0) + sign * count;
+      if (frequency > 0) corpus.documentFrequency.set(term, frequency);
+      else corpus.documentFrequency.delete(term);
+    };
+
+    // A metadata term occurs in every chunk of its chapter
+    const metadataTerms = new Set();
+    Object.entries(chapter.metadataFields).forEach(([field, { counts, length }]) => {
+      corpus.fieldLengths[field] += sign * length * chunkCount;
+      counts.forEach((count, term) => metadataTerms.add(term));
+    });
+    metadataTerms.forEach(term => addFrequency(term, chunkCount));
+    Object.entries(postings).forEach(([term, termEntries]) => {
+      if (metadataTerms.has(term)) return;
+      addFrequency(term, termEntries.length);
+    });
+  }
+
+  async loadSearchIndex() {
+    // Load the corpus index from disk, then bring it in line with the chapter
+    // caches: caches whose size or modification time changed since they were
+    // indexed are read again, and entries for deleted caches are dropped.
+    // Sidecar metadata is re-read so edits to titles and keywords apply.
+    let stored = null;
+    try {
+      stored = JSON.parse(await fs.readFile(SEARCH_INDEX_FILE, 'utf-8'));
+    } catch (error) {
+      // No index yet, build it from the caches
+    }
+    const storedEntries = stored?.version === SEARCH_CONFIG.CORPUS_INDEX_VERSION ? stored.chapters : {};
+
+    const entries = {};
+    let changed = storedEntries !== stored?.chapters;
+    const bookDirs = await fs.readdir(EXTRACTED_DIR, { withFileTypes: true });
+    await this.removeAbandonedTempFiles(EXTRACTED_DIR, bookDirs.map(entry => entry.name));
+
+    for (const bookDir of bookDirs.filter(entry => entry.isDirectory())) {
+      const files = await fs.readdir(path.join(EXTRACTED_DIR, bookDir.name));
+      await this.removeAbandonedTempFiles(path.join(EXTRACTED_DIR, bookDir.name), files);
+      const cacheFiles = files.filter(name => name.toLowerCase().endsWith('.json') && !name.endsWith(VECTORS_FILE_SUFFIX));
+      for (const file of cacheFiles) {
+        const chapterName = file.replace(/\.json$/i, '.pdf');
+        const key = `${bookDir.name}/${chapterName}`;
+        const metadata = await this.getChapterMetadata(bookDir.name, chapterName);
+        const cacheStat = await fs.stat(this.getCacheFilePath(bookDir.name, chapterName));
+        const storedEntry = storedEntries[key];
+
+        if (storedEntry && storedEntry.cacheSize === cacheStat.size && storedEntry.cacheModifiedAt === cacheStat.mtimeMs) {
+          if (JSON.stringify(storedEntry.metadata) !== JSON.stringify(metadata)) changed = true;
+          entries[key] = { ...storedEntry, metadata };
+          continue;
+        }
+
+        // Loading the cache may re-chunk it, so stat it again afterwards
+        const cached = await this.getCachedContent(bookDir.name, chapterName);
+        changed = true;
+        if (!cached?.textChunks?.length || !cached.searchIndex?.postings) continue;
+        const currentStat = await fs.stat(this.getCacheFilePath(bookDir.name, chapterName));
+        entries[key] = this.createSearchIndexEntry(bookDir.name, chapterName, cached, metadata, currentStat);
+      }
+    }
+    if (Object.keys(storedEntries).some(key => !entries[key])) changed = true;
+
+    this.searchIndexEntries = entries;
+    this.searchCorpus = this.computeCorpusStatistics(Object.values(entries));
+    if (changed) await this.saveSearchIndex();
+    console.error(`Search index covers ${Object.keys(entries).length} chapters (${this.searchCorpus.documentCount} chunks)`);
+    return this.searchCorpus;
+  }
+
+  async saveSearchIndex() {
+    try {
+      await this.writeFileAtomically(SEARCH_INDEX_FILE, JSON.stringify({
+        version: SEARCH_CONFIG.CORPUS_INDEX_VERSION,
+        chapters: this.searchIndexEntries
+      }));
+    } catch (error) {
+      console.error(`Could not save search index: ${error.message}`);
+    }
+  }
+
+  async updateSearchIndex(bookName, chapterName, cached, { deferSave = false } = {}) {
+    // Called whenever a chapter cache is written, so the in-memory and
+    // on-disk index follow extractions without a restart. Batches of
+    // extractions defer saving and embedding and do both once at the end.
+    if (!this.searchIndexEntries) return;
+    const key = `${bookName}/${chapterName}`;
+    if (cached?.textChunks?.length && cached.searchIndex?.postings) {
+      const metadata = await this.getChapterMetadata(bookName, chapterName);
+      const cacheStat = await fs.stat(this.getCacheFilePath(bookName, chapterName)).catch(() => null);
+      this.searchIndexEntries[key] = this.createSearchIndexEntry(bookName, chapterName, cached, metadata, cacheStat);
+    } else {
+      delete this.searchIndexEntries[key];
+    }
+    this.searchCorpus = this.updateCorpusStatistics(this.searchCorpus, key, this.searchIndexEntries[key]);
+    if (deferSave) return;
+    await this.saveSearchIndex();
+    this.syncEmbeddings();
+  }
+
+  async getSearchCorpus() {
+    // Normally loaded by run(); concurrent first queries share one load
+    if (!this.searchCorpus) {
+      this.searchIndexLoading = this.searchIndexLoading || this.loadSearchIndex();
+      await this.searchIndexLoading;
+    }
+    return this.searchCorpus;
+  }
+
+  // Embedding providers turn texts into vectors for semantic search:
+  //   { id, embed(texts) → Promise<number[][]>, prepare?(texts) → Promise }
+  // `id` names the model behind the vectors; stored vectors made under
+  // another id are recomputed. `prepare` receives every chunk text in the
+  // library before anything is embedded, for providers that learn from the
+  // corpus, and must set `id`. A provider module (CLIMBING_EMBEDDINGS set to
+  // a file path) default-exports a function that returns a provider.
+  async getEmbeddingProvider() {
+    if (this.embeddingProvider !== undefined) return this.embeddingProvider;
+    const name = EMBEDDING_CONFIG.PROVIDER;
+    try {
+      if (name === 'none') {
+        this.embeddingProvider = null;
+      } else if (name === 'lsa') {
+        this.embeddingProvider = this.createLsaEmbeddingProvider();
+      } else if (name === 'http') {
+        this.embeddingProvider = this.createHttpEmbeddingProvider();
+      } else {
+        const providerModule = await import(pathToFileURL(path.resolve(name)).href);
+        this.embeddingProvider = await providerModule.default({ tokenize: text => this.tokenizeForSearch(text) });
+      }
+    } catch (error) {
+      console.error(`Semantic search disabled, embedding provider "${name}" failed to load: ${error.message}`);
+      this.embeddingProvider = null;
+    }
+    return this.embeddingProvider;
+  }
+
+  createLsaEmbeddingProvider() {
+    // Offline default: latent semantic analysis over the library's own
+    // chunks. The model is fitted once and saved; chapters extracted later
+    // are folded into it, and it is refitted when the library has grown a
+    // lot since.
+    let model = null;
+    const provider = {
+      id: null,
+      prepare: async texts => {
+        if (!model) {
+          try {
+            model = JSON.parse(await fs.readFile(EMBEDDING_MODEL_FILE, 'utf-8'));
+          } catch (error) {
+            // Fitted below
+          }
+        }
+        const stale = model?.version !== EMBEDDING_CONFIG.LSA_VERSION ||
+          texts.length > model.documentCount * EMBEDDING_CONFIG.LSA_REFIT_GROWTH;
+        if (stale && texts.length > 0) {
+          model = fitLsaModel(texts.map(text => this.tokenizeForSearch(text)), EMBEDDING_CONFIG);
+          await this.writeFileAtomically(EMBEDDING_MODEL_FILE, JSON.stringify(model));
+          console.error(`Fitted LSA embedding model on ${texts.length} chunks (${Object.keys(model.terms).length} terms, ${model.dimensions} dimensions)`);
+        }
+        provider.id = model?.id || null;
+      },
+      embed: async texts => {
+        if (!model) throw new Error('The LSA model has not been fitted');
+        return texts.map(text => projectLsaTerms(model, this.tokenizeForSearch(text)));
+      }
+    };
+    return provider;
+  }
+
+  createHttpEmbeddingProvider() {
+    // Any OpenAI-compatible embeddings endpoint
+    const { HTTP_URL, HTTP_MODEL, HTTP_API_KEY } = EMBEDDING_CONFIG;
+    if (!HTTP_URL || !HTTP_MODEL) {
+      throw new Error('CLIMBING_EMBEDDING_URL and CLIMBING_EMBEDDING_MODEL must be set');
+    }
+    return {
+      id: `http:${HTTP_MODEL}`,
+      embed: async texts => {
+        const response = await fetch(HTTP_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(HTTP_API_KEY ? { Authorization: `Bearer ${HTTP_API_KEY}` } : {})
+          },
+          body: JSON.stringify({ model: HTTP_MODEL, input: texts })
+        });
+        if (!response.ok) throw new Error(`Embedding request failed: ${response.status} ${response.statusText}`);
+        const body = await response.json();
+        return body.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+      }
+    };
+  }
+
+  async embedTexts(provider, texts) {
+    // Unit-length vectors, requested in batches
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += EMBEDDING_CONFIG.BATCH_SIZE) {
+      vectors.push(...await provider.embed(texts.slice(start, start + EMBEDDING_CONFIG.BATCH_SIZE)));
+    }
+    return vectors.map(vector => {
+      const norm = Math.sqrt(dotProduct(vector, vector));
+      return norm > 0 ? vector.map(value => value / norm) : vector.map(() => 0);
+    });
+  }
+
+  getVectorsFilePath(bookName, chapterName) {
+    // Chunk vectors sit next to the chapter cache
+    return path.join(EXTRACTED_DIR, bookName, chapterName.replace(/\.pdf$/i, VECTORS_FILE_SUFFIX));
+  }
+
+  syncEmbeddings() {
+    // Runs are queued so startup and extractions never embed concurrently.
+    // Calls made while a run is still waiting to start share that run, which
+    // will see their chapters anyway.
+    if (!this.pendingEmbeddingSync) {
+      const run = (this.embeddingSync || Promise.resolve())
+        .then(() => {
+          this.pendingEmbeddingSync = null;
+          return this.updateEmbeddings();
+        })
+        .catch(error => console.error(`Could not update chunk embeddings: ${error.message}`));
+      this.pendingEmbeddingSync = run;
+      this.embeddingSync = run;
+    }
+    return this.pendingEmbeddingSync;
+  }
+
+  async updateEmbeddings() {
+    // Give every indexed chapter chunk vectors from the current provider
+    // model, reusing stored vectors that are still current
+    const provider = await this.getEmbeddingProvider();
+    if (!provider || !this.searchIndexEntries) return;
+    const entries = Object.entries(this.searchIndexEntries);
+    if (provider.prepare) {
+      await provider.prepare(entries.flatMap(([key, entry]) => entry.chunks.map(chunk => chunk.text)));
+    }
+    if (!provider.id) return;
+
+    const embeddings = new Map();
+    let embeddedChapters = 0;
+    for (const [key, entry] of entries) {
+      const isCurrent = stored => stored?.model === provider.id &&
+        stored.extractedAt === entry.extractedAt && stored.vectors?.length === entry.chunks.length;
+      let stored = this.chunkEmbeddings?.get(key);
+      if (!isCurrent(stored)) {
+        try {
+          stored = JSON.parse(await fs.readFile(this.getVectorsFilePath(entry.book, entry.chapterName), 'utf-8'));
+        } catch (error) {
+          stored = null; // Not embedded yet
+        }
+      }
+      if (!isCurrent(stored)) {
+        const vectors = await this.embedTexts(provider, entry.chunks.map(chunk => chunk.text));
+        stored = {
+          model: provider.id,
+          extractedAt: entry.extractedAt,
+          vectors: vectors.map(vector => vector.map(value => Math.round(value * 1e4) / 1e4))
+        };
+        await this.writeFileAtomically(this.getVectorsFilePath(entry.book, entry.chapterName), JSON.stringify(stored));
+        embeddedChapters++;
+      }
+      embeddings.set(key, stored);
+    }
+
+    this.chunkEmbeddings = embeddings;
+    if (embeddedChapters > 0) {
+      console.error(`Embedded ${embeddedChapters} chapters with ${provider.id}`);
+    }
+  }
+
+  async scoreSemanticChunks(corpus, query, { includeChapter = null, includeChunk = null } = {}) {
+    // Nearest chunks to the query by cosine similarity of unit vectors
+    const provider = await this.getEmbeddingProvider();
+    if (!provider?.id || !this.chunkEmbeddings) return [];
+    const [queryVector] = await this.embedTexts(provider, [query]);
+    if (!queryVector.some(value => value !== 0)) return [];
+
+    const hits = [];
+    corpus.chapters.forEach(chapter => {
+      if (includeChapter && !includeChapter(chapter)) return;
+      const stored = this.chunkEmbeddings.get(`${chapter.book}/${chapter.chapterName}`);
+      if (stored?.model !== provider.id) return;
+      stored.vectors.forEach((vector, chunkId) => {
+        const chunk = chapter.chunks[chunkId];
+        if (!chunk || (includeChunk && !includeChunk(chunk))) return;
+        const similarity = dotProduct(queryVector, vector);
+        if (similarity >= EMBEDDING_CONFIG.MIN_SIMILARITY) hits.push({ chapter, chunk, similarity });
+      });
+    });
+    return hits.sort((a, b) => b.similarity - a.similarity).slice(0, EMBEDDING_CONFIG.SEMANTIC_CANDIDATES);
+  }
+
+  fuseRankings(keywordHits, semanticHits) {
+    // Reciprocal rank fusion: a chunk earns weight / (k + rank) from each
+    // list it appears in, so neither score scale dominates
+    const { RRF_K, KEYWORD_WEIGHT, SEMANTIC_WEIGHT } = EMBEDDING_CONFIG;
+    const fused = new Map();
+    const add = (hits, weight, record) => hits.forEach((hit, rank) => {
+      const key = `${hit.chapter.book}/${hit.chapter.chapterName}#${hit.chunk.id}`;
+      if (!fused.has(key)) {
+        fused.set(key, {
+          chapter: hit.chapter,
+          chunk: hit.chunk,
+          score: 0,
+          keywordScore: null,
+          similarity: null,
+          metadataMatches: [],
+          expansions: []
+        });
+      }
+      const entry = fused.get(key);
+      entry.score += weight / (RRF_K + rank + 1);
+      record(entry, hit);
+    });
+
+    add(keywordHits, KEYWORD_WEIGHT, (entry, hit) => {
+      Object.assign(entry, { keywordScore: hit.score, metadataMatches: hit.metadataMatches, expansions: hit.expansions });
+    });
+    add(semanticHits, SEMANTIC_WEIGHT, (entry, hit) => {
+      entry.similarity = hit.similarity;
+    });
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
+
+  scoreChunks(corpus, concepts, { queryTree = null, includeChapter = null, includeChunk = null } = {}) {
+    // BM25F: per-field frequencies are length-normalised and weighted, then
+    // saturated together for each query concept. A concept's alternatives
+    // (the query word and its thesaurus synonyms) add up, synonyms at a
+    // reduced weight, and the concept is as rare as its commonest spelling.
+    // Chunks that fail the parsed query's phrases, operators and field
+    // filters, or fall outside the search scope, are dropped.
+    const { BM25_K1, FIELD_WEIGHTS, FIELD_B } = SEARCH_CONFIG;
+    const { documentCount, documentFrequency, fieldLengths } = corpus;
+    const averageLength = field => (documentCount > 0 ? fieldLengths[field] / documentCount : 0) || 1;
+    const normalizedFrequency = (field, frequency, length) =>
+      FIELD_WEIGHTS[field] * frequency / (1 - FIELD_B[field] + FIELD_B[field] * length / averageLength(field));
+    const alternativeFrequency = alternative =>
+      Math.min(...alternative.indexTerms.map(term => documentFrequency.get(term) || 0));
+    const conceptIdf = concepts.map(concept => {
+      const frequency = Math.max(...concept.alternatives.map(alternativeFrequency));
+      return Math.log(1 + (documentCount - frequency + 0.5) / (frequency + 0.5));
+    });
+
+    const hits = [];
+    corpus.chapters.forEach(chapter => {
+      if (includeChapter && !includeChapter(chapter)) return;
+      const { postings, chunkLengths } = chapter.searchIndex;
+      const termPostings = term => (Object.hasOwn(postings, term) ? postings[term] : []);
+      const chunkStems = new Map();
+      const getChunkStems = chunkId => {
+        if (!chunkStems.has(chunkId)) chunkStems.set(chunkId, this.tokenizePhrase(chapter.chunks[chunkId].text));
+        return chunkStems.get(chunkId);
+      };
+
+      // Body frequency of each alternative by chunk. Phrases are counted in
+      // the chunks that contain all of their indexed words.
+      const bodyFrequencies = concepts.map(concept => concept.alternatives.map(alternative => {
+        if (!alternative.isPhrase) return new Map(termPostings(alternative.indexTerms[0]));
+        const frequencies = new Map();
+        const [first, ...rest] = alternative.indexTerms.map(term => new Set(termPostings(term).map(([chunkId]) => chunkId)));
+        [...first].filter(chunkId => rest.every(chunkIds => chunkIds.has(chunkId))).forEach(chunkId => {
+          const count = this.countPhrase(getChunkStems(chunkId), alternative.stems);
+          if (count > 0) frequencies.set(chunkId, count);
+        });
+        return frequencies;
+      }));
+      const metadataFrequencies = concepts.map(concept => concept.alternatives.map(alternative =>
+        Object.fromEntries(Object.entries(chapter.metadataFields)
+          .map(([field, { stems }]) => [field, this.countPhrase(stems, alternative.stems)]))));
+
+      const metadataMatches = Object.keys(chapter.metadataFields)
+        .filter(field => metadataFrequencies.some(alternatives => alternatives.some(counts => counts[field] > 0)));
+      const candidates = metadataMatches.length > 0
+        ? chapter.chunks.map(chunk => chunk.id)
+        : [...new Set(bodyFrequencies.flat().flatMap(frequencies => [...frequencies.keys()]))];
+
+      candidates.forEach(chunkId => {
+        if (includeChunk && !includeChunk(chapter.chunks[chunkId])) return;
+        const context = { chapter, chunk: chapter.chunks[chunkId], chunkStems: getChunkStems(chunkId) };
+        if (queryTree && !this.matchesQueryTree(queryTree, context)) return;
+
+        let score = 0;
+        const expansions = [];
+        concepts.forEach((concept, conceptIndex) => {
+          let frequency = 0;
+          concept.alternatives.forEach((alternative, alternativeIndex) => {
+            let alternativeScore = 0;
+            const bodyFrequency = bodyFrequencies[conceptIndex][alternativeIndex].get(chunkId) || 0;
+            if (bodyFrequency > 0) {
+              alternativeScore += normalizedFrequency('body', bodyFrequency, chunkLengths[chunkId] || 0);
+            }
+            Object.entries(chapter.metadataFields).forEach(([field, { length }]) => {
+              const count = metadataFrequencies[conceptIndex][alternativeIndex][field];
+              if (count > 0) alternativeScore += normalizedFrequency(field, count, length);
+            });
+            if (alternativeScore > 0 && alternative.isExpansion) {
+              expansions.push(this.describeExpansion(concept, alternative));
+            }
+            frequency += alternative.weight * alternativeScore;
+          });
+          if (frequency > 0) score += conceptIdf[conceptIndex] * frequency / (BM25_K1 + frequency);
+        });
+
+        if (score > 0) {
+          hits.push({ chapter, chunk: chapter.chunks[chunkId], score, metadataMatches, expansions });
+        }
+      });
+    });
+
+    return hits.sort((a, b) => b.score - a.score);
   }
 
   extractTopics(text) {
     // Extract potential topic keywords from text
-    const climbingTerms = [
-      'anchor', 'anchors', 'belay', 'belaying', 'rappel', 'rappelling', 
-      'knot', 'knots', 'rope', 'carabiner', 'cam', 'nut', 'protection',
-      'pitch', 'multipitch', 'trad', 'traditional', 'sport', 'lead',
-      'follow', 'climbing', 'technique', 'safety', 'SERENE', 'equalization'
-    ];
-    
     const foundTerms = [];
     const lowerText = text.toLowerCase();
     
-    climbingTerms.forEach(term => {
+    CLIMBING_TERMS.forEach(term => {
       if (lowerText.includes(term)) {
         foundTerms.push(term);
       }
@@ -785,14 +3774,239 @@ class ClimbingResourcesServer {
     return foundTerms;
   }
 
-  async getCachedContent(chapterName) {
+  getCacheFilePath(bookName, chapterName) {
+    // Cache files are namespaced by book so identically named chapters
+    // (e.g. "Chapter 1 Introduction.pdf" in several VDiff books) stay separate
+    return path.join(EXTRACTED_DIR, bookName, chapterName.replace(/\.pdf$/i, '.json'));
+  }
+
+  normalizeChapterKey(name) {
+    // Reduce legacy chapter/cache names ("Ch10_Chapter 10. Belaying.pdf",
+    // "Chapter_8_SRENE_Anchors.json") to a comparable key
+    return name
+      .replace(/\.(pdf|json)$/i, '')
+      .replace(/^Ch\d+_/i, '')
+      .replace(/_/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  async migrateLegacyCache() {
+    // Move flat cache files (extracted_content/<chapter>.json) from before the
+    // cache was namespaced into extracted_content/<book>/<chapter>.json
+    const entries = await fs.readdir(EXTRACTED_DIR, { withFileTypes: true });
+    const legacyFiles = entries
+      .filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.json'))
+      .filter(entry => ![SEARCH_INDEX_FILE, EMBEDDING_MODEL_FILE, EXTRACTION_JOURNAL_FILE].map(file => path.basename(file)).includes(entry.name))
+      .map(entry => entry.name);
+
+    const report = { migrated: [], unresolved: [] };
+    if (legacyFiles.length === 0) return report;
+
+    // Chapters are known from their PDFs and from sidecar metadata, since some
+    // chapters only have a sidecar checked in
+    const bookChapters = {};
+    const bookDirs = await fs.readdir(BOOKS_DIR, { withFileTypes: true });
+    for (const bookDir of bookDirs.filter(entry => entry.isDirectory())) {
+      const files = await fs.readdir(path.join(BOOKS_DIR, bookDir.name));
+      bookChapters[bookDir.name] = [...new Set(
+        files
+          .filter(file => /\.(pdf|json)$/i.test(file))
+          .map(file => file.replace(/\.(pdf|json)$/i, ''))
+      )];
+    }
+
+    for (const legacyFile of legacyFiles) {
+      const legacyPath = path.join(EXTRACTED_DIR, legacyFile);
+      let cached;
+      try {
+        cached = JSON.parse(await fs.readFile(legacyPath, 'utf-8'));
+      } catch (error) {
+        report.unresolved.push({ file: legacyFile, reason: `unreadable cache: ${error.message}` });
+        continue;
+      }
+
+      const candidateKeys = new Set(
+        [legacyFile, cached.chapterName].filter(Boolean).map(name => this.normalizeChapterKey(name))
+      );
+
+      const matches = [];
+      Object.entries(bookChapters).forEach(([bookName, chapters]) => {
+        const chapter = chapters.find(base => candidateKeys.has(this.normalizeChapterKey(base)));
+        if (chapter) {
+          matches.push({ bookName, chapterName: `${chapter}.pdf` });
+        }
+      });
+
+      if (matches.length !== 1) {
+        report.unresolved.push({
+          file: legacyFile,
+          reason: matches.length === 0
+            ? 'no matching chapter in Books/'
+            : `ambiguous, matches ${matches.map(m => m.bookName).join(', ')}`
+        });
+        continue;
+      }
+
+      const { bookName, chapterName } = matches[0];
+      const targetPath = this.getCacheFilePath(bookName, chapterName);
+      const existing = await this.getCachedContent(bookName, chapterName);
+
+      // Two legacy files can resolve to the same chapter; keep the newest extraction
+      if (!existing || new Date(cached.extractedAt) > new Date(existing.extractedAt)) {
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        await this.writeFileAtomically(targetPath, JSON.stringify({ ...cached, bookName, chapterName }, null, 2));
+      }
+      await fs.unlink(legacyPath);
+      report.migrated.push({ file: legacyFile, bookName, chapterName });
+    }
+
+    if (report.migrated.length > 0) {
+      console.error(`Migrated ${report.migrated.length} legacy cache files into per-book directories`);
+    }
+    report.unresolved.forEach(({ file, reason }) => {
+      console.error(`Left legacy cache file ${file} in place: ${reason}`);
+    });
+
+    return report;
+  }
+
+  async getCachedContent(bookName, chapterName) {
+    const cacheFile = this.getCacheFilePath(bookName, chapterName);
+    let cachedData;
     try {
-      const cacheFile = path.join(EXTRACTED_DIR, `${chapterName.replace('.pdf', '.json')}`);
-      const cachedData = await fs.readFile(cacheFile, 'utf-8');
-      return JSON.parse(cachedData);
+      cachedData = await fs.readFile(cacheFile, 'utf-8');
     } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read cache for ${bookName}/${chapterName}:`, error.message);
+      }
       return null; // Cache doesn't exist
     }
+
+    // A cache that cannot be parsed is treated as missing so the chapter is
+    // extracted again, but remembered so it can be reported
+    let cached;
+    let corruptReason = null;
+    try {
+      cached = JSON.parse(cachedData);
+      if (!cached || typeof cached !== 'object' || Array.isArray(cached)) {
+        corruptReason = 'the cache is not a JSON object';
+      } else if (cached.text !== undefined && typeof cached.text !== 'string') {
+        corruptReason = 'the cache text is not a string';
+      }
+    } catch (error) {
+      corruptReason = cachedData.trim() ? `unreadable JSON (${error.message})` : 'the cache file is empty';
+    }
+    if (corruptReason) {
+      if (!this.corruptCaches.has(cacheFile)) {
+        console.error(`Corrupt cache for ${bookName}/${chapterName}: ${corruptReason}`);
+      }
+      this.corruptCaches.set(cacheFile, corruptReason);
+      return null;
+    }
+    this.corruptCaches.delete(cacheFile);
+
+    if (cached.text && (cached.chunkingVersion !== EXTRACTION_CONFIG.CHUNKING_VERSION ||
+        cached.searchIndex?.version !== SEARCH_CONFIG.INDEX_VERSION)) {
+      cached = await this.rechunkCachedContent(bookName, chapterName, cached);
+    }
+    return cached;
+  }
+
+  async rechunkCachedContent(bookName, chapterName, cached) {
+    // Re-chunk and re-index from the cached text rather than the PDF, which
+    // also covers chapters whose PDF is no longer in the library
+    const pageData = cached.pageData || {};
+    const textChunks = this.createPageAwareChunks(
+      cached.text, pageData, cached.totalPages || 1, cached.outline || [], this.getChunkSize(bookName)
+    );
+    const rechunked = {
+      ...cached,
+      textChunks,
+      chunkingVersion: EXTRACTION_CONFIG.CHUNKING_VERSION,
+      pageSpansEstimated: Object.keys(pageData).length === 0,
+      searchIndex: this.createSearchIndex(cached.text, textChunks)
+    };
+
+    try {
+      await this.writeFileAtomically(this.getCacheFilePath(bookName, chapterName), JSON.stringify(rechunked, null, 2));
+      console.error(`Re-chunked cached ${bookName}/${chapterName} into ${textChunks.length} chunks`);
+      await this.updateSearchIndex(bookName, chapterName, rechunked);
+    } catch (error) {
+      console.error(`Could not rewrite cache for ${bookName}/${chapterName}: ${error.message}`);
+    }
+    return rechunked;
+  }
+
+  async getCacheStaleness(bookName, chapterName, cached) {
+    // Why a cache no longer matches its PDF, or null when it still does or
+    // there is no PDF to rebuild it from. The PDF is only hashed when its size
+    // is unchanged but its modification time is not.
+    const pdfPath = path.join(BOOKS_DIR, bookName, chapterName);
+    const pdfStat = await fs.stat(pdfPath).catch(() => null);
+    if (!pdfStat) return null;
+
+    if (cached.extractorVersion !== EXTRACTION_CONFIG.EXTRACTOR_VERSION) {
+      return cached.extractorVersion
+        ? `extracted by extractor version ${cached.extractorVersion}, the current version is ${EXTRACTION_CONFIG.EXTRACTOR_VERSION}`
+        : 'extracted before caches recorded their PDF and extractor version';
+    }
+    // Headings are found from the PDF's fonts, which caches do not keep, so an
+    // outline can only be built by extracting the chapter again
+    if (!cached.outline) return 'extracted before chapter outlines were recorded';
+    const source = cached.source || {};
+    if (pdfStat.size !== source.size) return 'the PDF has been replaced since it was extracted';
+    if (pdfStat.mtimeMs === source.modifiedAt) return null;
+
+    // A copy or fresh checkout of the same PDF only changes the modification time
+    const key = `${bookName}/${chapterName}`;
+    const signature = `${source.sha256}:${pdfStat.mtimeMs}`;
+    if (this.verifiedSources.get(key) === signature) return null;
+    const sha256 = createHash('sha256').update(await fs.readFile(pdfPath)).digest('hex');
+    if (sha256 !== source.sha256) return 'the PDF has been replaced since it was extracted';
+    this.verifiedSources.set(key, signature);
+    return null;
+  }
+
+  getCorruptCacheReason(bookName, chapterName) {
+    // Only meaningful after getCachedContent has returned null for the chapter
+    const corruptReason = this.corruptCaches.get(this.getCacheFilePath(bookName, chapterName));
+    return corruptReason ? `the cache was corrupt: ${corruptReason}` : null;
+  }
+
+  async refreshStaleCache(bookName, chapterName, cached, extraction = {}) {
+    // Stale caches are rebuilt from their PDF when they are read
+    const staleReason = cached && await this.getCacheStaleness(bookName, chapterName, cached);
+    if (!staleReason) return cached;
+    console.error(`Re-extracting ${bookName}/${chapterName}: ${staleReason}`);
+    return this.comprehensiveExtractPDF(path.join(BOOKS_DIR, bookName, chapterName), chapterName, bookName, extraction);
+  }
+
+  async listOrphanedCaches() {
+    // Chapter caches whose PDF is no longer in Books/. They still serve
+    // searches but cannot be re-extracted.
+    const orphaned = [];
+    const bookDirs = await fs.readdir(EXTRACTED_DIR, { withFileTypes: true }).catch(() => []);
+    for (const bookDir of bookDirs.filter(entry => entry.isDirectory())) {
+      const files = await fs.readdir(path.join(EXTRACTED_DIR, bookDir.name));
+      // One listing of the book's PDFs rather than a lookup per cache
+      const pdfs = new Set(await fs.readdir(path.join(BOOKS_DIR, bookDir.name)).catch(() => []));
+      for (const file of files.filter(name => name.toLowerCase().endsWith('.json') && !name.endsWith(VECTORS_FILE_SUFFIX))) {
+        const chapterName = file.replace(/\.json$/i, '.pdf');
+        if (!pdfs.has(chapterName)) orphaned.push({ book: bookDir.name, chapter: chapterName });
+      }
+    }
+    return orphaned.sort((a, b) => a.book.localeCompare(b.book) ||
+      a.chapter.localeCompare(b.chapter, undefined, { numeric: true }));
+  }
+
+  formatSegmentationReport(report) {
+    if (!report) return 'not available (extracted before word segmentation)';
+    if (report.unresolvedWordCount === 0) return 'none';
+    const words = report.unresolvedWords.map(({ word, count }) => `${word} (${count})`).join(', ');
+    const more = report.unresolvedWordCount - report.unresolvedWords.length;
+    return `${report.unresolvedWordCount} - ${words}${more > 0 ? `, and ${more} more` : ''}`;
   }
 
   formatBytes(bytes) {
@@ -803,70 +4017,127 @@ class ClimbingResourcesServer {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
+  async getCacheSummary(bookName, chapterName) {
+    // Extraction details of a chapter from the search index, which already
+    // holds them for every indexed cache; only other caches are read
+    const entry = this.searchIndexEntries?.[`${bookName}/${chapterName}`];
+    if (entry) {
+      return { ...entry, chunkCount: entry.chunks.length };
+    }
+    const cached = await this.getCachedContent(bookName, chapterName);
+    return cached && {
+      ...cached,
+      textLength: cached.text?.length || 0,
+      chunkCount: cached.textChunks?.length || 0
+    };
+  }
+
   async listBooksAndChapters() {
     try {
-      const bookDirs = await fs.readdir(BOOKS_DIR);
+      await this.getSearchCorpus().catch(error => console.error('Error loading search index:', error.message));
+      const bookDirs = await fs.readdir(BOOKS_DIR, { withFileTypes: true });
       const books = [];
 
-      for (const bookDir of bookDirs) {
+      for (const { name: bookDir } of bookDirs.filter(entry => entry.isDirectory())) {
         const bookPath = path.join(BOOKS_DIR, bookDir);
-        const stat = await fs.stat(bookPath);
+        const files = await fs.readdir(bookPath);
+        const pdfFiles = files.filter(file => file.toLowerCase().endsWith('.pdf'));
         
-        if (stat.isDirectory()) {
-          const files = await fs.readdir(bookPath);
-          const pdfFiles = files.filter(file => file.toLowerCase().endsWith('.pdf'));
-          
-          const chapters = await Promise.all(
-            pdfFiles.map(async (file) => {
-              const metadataPath = path.join(bookPath, file.replace('.pdf', '.json'));
-              let metadata = { title: file, description: 'No description available' };
-              
-              try {
-                const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-                metadata = JSON.parse(metadataContent);
-              } catch (err) {
-                // Metadata file doesn't exist, use defaults
-              }
-              
-              // Check if content has been extracted using book/chapter structure
-              const cachedContent = await this.getCachedContent(file);
-              const extractionStatus = cachedContent ? {
-                extracted: true,
-                extractedAt: cachedContent.extractedAt,
-                totalPages: cachedContent.totalPages,
-                textLength: this.formatBytes(cachedContent.text?.length || 0),
-                chunkCount: cachedContent.textChunks?.length || 0
-              } : {
-                extracted: false,
-                message: 'Use get_chapter_text to process this chapter'
-              };
-              
-              return {
-                filename: file,
-                title: metadata.title || file,
-                description: metadata.description || 'No description available',
-                keywords: metadata.keywords || [],
-                extraction: extractionStatus
-              };
-            })
-          );
+        const chapters = await Promise.all(
+          pdfFiles.map(async (file) => {
+            const metadataPath = path.join(bookPath, file.replace('.pdf', '.json'));
+            let metadata = { title: file, description: 'No description available' };
+            
+            try {
+              const metadataContent = await fs.readFile(metadataPath, 'utf-8');
+              metadata = JSON.parse(metadataContent);
+            } catch (err) {
+              // Metadata file doesn't exist, use defaults
+            }
+            
+            const cacheSummary = await this.getCacheSummary(bookDir, file);
+            const staleReason = cacheSummary && await this.getCacheStaleness(bookDir, file, cacheSummary);
+            const corruptReason = !cacheSummary && this.corruptCaches.get(this.getCacheFilePath(bookDir, file));
+            const extractionStatus = cacheSummary ? {
+              extracted: true,
+              cacheStatus: staleReason ? 'stale' : 'current',
+              ...(staleReason && { staleReason }),
+              extractedAt: cacheSummary.extractedAt,
+              totalPages: cacheSummary.totalPages,
+              textLength: cacheSummary.textLength,
+              chunkCount: cacheSummary.chunkCount
+            } : {
+              extracted: false,
+              cacheStatus: corruptReason ? 'corrupt' : 'missing',
+              ...(corruptReason && { corruptReason })
+            };
+            
+            return {
+              filename: file,
+              title: metadata.title || file,
+              description: metadata.description || 'No description available',
+              keywords: metadata.keywords || [],
+              disciplines: metadata.disciplines || [],
+              extraction: extractionStatus
+            };
+          })
+        );
 
-          books.push({
-            bookName: bookDir,
-            bookTitle: bookDir.replace(/_/g, ' '),
-            chapterCount: chapters.length,
-            chapters: chapters
-          });
-        }
+        books.push({
+          bookName: bookDir,
+          bookTitle: bookDir.replace(/_/g, ' '),
+          chapterCount: chapters.length,
+          chapters: chapters
+        });
+      }
+
+      const chapterCount = books.reduce((sum, book) => sum + book.chapterCount, 0);
+      const orphanedCaches = await this.listOrphanedCaches();
+      const cacheCounts = { current: 0, stale: 0, corrupt: 0, missing: 0, orphaned: orphanedCaches.length };
+      books.forEach(book => book.chapters.forEach(chapter => cacheCounts[chapter.extraction.cacheStatus]++));
+
+      let responseText = `CLIMBING RESOURCE BOOKS (${books.length} books, ${chapterCount} total chapters)\n`;
+      responseText += `Caches: ${cacheCounts.current} current, ${cacheCounts.stale} stale, ${cacheCounts.corrupt} corrupt, ${cacheCounts.missing} missing, ${cacheCounts.orphaned} orphaned\n`;
+      books.forEach(book => {
+        responseText += `\n${book.bookTitle} (${book.chapterCount} chapters)\n`;
+        book.chapters.forEach(chapter => {
+          const { extraction } = chapter;
+          let status = extraction.extracted
+            ? `extracted ${extraction.extractedAt}, ${extraction.totalPages} pages, ${this.formatBytes(extraction.textLength)}, ${extraction.chunkCount} chunks`
+            : 'not extracted (use get_chapter_text to process this chapter)';
+          if (extraction.cacheStatus === 'stale') {
+            status += ` - STALE: ${extraction.staleReason}; re-extracted when next read`;
+          } else if (extraction.cacheStatus === 'corrupt') {
+            status = `CORRUPT CACHE: ${extraction.corruptReason}; re-extracted when next read`;
+          }
+          responseText += `  • ${chapter.title} [${chapter.filename}] - ${status}\n`;
+          responseText += `    ${chapter.description}\n`;
+          if (chapter.keywords.length > 0) {
+            responseText += `    Keywords: ${chapter.keywords.join(', ')}\n`;
+          }
+        });
+      });
+      if (orphanedCaches.length > 0) {
+        responseText += `\nORPHANED CACHES (no PDF in Books/; still searchable but cannot be re-extracted)\n`;
+        orphanedCaches.forEach(({ book, chapter }) => {
+          responseText += `  • ${book}/${chapter}\n`;
+        });
       }
 
       return {
         content: [
           {
             type: 'text',
-            text: `CLIMBING RESOURCE BOOKS (${books.length} books, ${books.reduce((sum, book) => sum + book.chapterCount, 0)} total chapters)\n\n${JSON.stringify(books, null, 2)}`
+            text: responseText
           }
-        ]
+        ],
+        structuredContent: {
+          bookCount: books.length,
+          chapterCount,
+          cacheCounts,
+          books,
+          orphanedCaches
+        }
       };
     } catch (error) {
       return {
@@ -881,15 +4152,226 @@ class ClimbingResourcesServer {
     }
   }
 
-  async extractChapterContent(bookName, chapterName, forceReextract) {
+  classifyBookEntry(baseName) {
+    // Work out what a file is from its name: "Part 1 Simple Anchors",
+    // "Chapter 10. Belaying", "Appendix Rating Systems", "Glossary"
+    const nameLower = baseName.toLowerCase();
+    const part = nameLower.match(/^part[\s_]*(\d+)/);
+    if (part) return { kind: 'part', number: parseInt(part[1]) };
+
+    const chapter = nameLower.match(/^(?:ch\d+_)?chapter[\s_]*(\d+)/);
+    if (chapter) return { kind: 'chapter', number: parseInt(chapter[1]) };
+
+    const front = BOOK_MATTER.front.findIndex(word => nameLower.startsWith(word));
+    if (front !== -1) return { kind: 'front', number: front };
+
+    const back = BOOK_MATTER.back.findIndex(word => nameLower.startsWith(word));
+    if (back !== -1) return { kind: 'back', number: back };
+
+    return { kind: 'other', number: null };
+  }
+
+  compareBookEntries(a, b) {
+    // Front matter, then parts and chapters by chapter number, then back
+    // matter. A part comes just before its first chapter; parts without a
+    // chapterRange in their sidecar come before all chapters.
+    const rank = { front: 0, part: 1, chapter: 1, other: 1, back: 2 };
+    const position = entry => {
+      if (entry.kind === 'part') return entry.chapterRange ? entry.chapterRange[0] - 0.5 : -1;
+      return entry.kind === 'other' ? Infinity : entry.number;
+    };
+    const positionA = position(a);
+    const positionB = position(b);
+
+    return rank[a.kind] - rank[b.kind] ||
+      (positionA === positionB ? 0 : positionA - positionB) ||
+      (a.number ?? 0) - (b.number ?? 0) ||
+      a.filename.localeCompare(b.filename, undefined, { numeric: true });
+  }
+
+  summarizeOutline(outline) {
+    return (outline || []).map(section => ({
+      title: section.title,
+      level: section.level,
+      pageRange: { start: section.startPage, end: section.endPage },
+      startChar: section.startChar,
+      sections: this.summarizeOutline(section.children)
+    }));
+  }
+
+  formatOutlineEntry(entry, depth) {
+    const indent = '  '.repeat(depth);
+    const status = [];
+    if (!entry.hasPdf) status.push('PDF missing');
+    if (entry.pageRange) status.push(`pages ${entry.pageRange.start}-${entry.pageRange.end}`);
+    if (!entry.extraction.extracted) {
+      status.push('not extracted');
+    } else if (!entry.extraction.sectionsRecorded) {
+      status.push('extracted before outlines were recorded (re-extract for sections)');
+    } else {
+      status.push('extracted');
+    }
+
+    let text = `${indent}${entry.title} [${entry.filename}] - ${status.join(', ')}\n`;
+    const formatSections = (sections, sectionDepth) => sections.forEach(section => {
+      text += `${'  '.repeat(sectionDepth)}• ${section.title} (pages ${section.pageRange.start}-${section.pageRange.end}, from char ${section.startChar})\n`;
+      formatSections(section.sections, sectionDepth + 1);
+    });
+    formatSections(entry.sections, depth + 1);
+    (entry.chapters || []).forEach(chapter => {
+      text += this.formatOutlineEntry(chapter, depth + 1);
+    });
+    return text;
+  }
+
+  toOutlineOutput(entry) {
+    // Outline entries without the fields that do not apply to them
+    return {
+      title: entry.title,
+      filename: entry.filename,
+      kind: entry.kind,
+      ...(entry.number !== null && { number: entry.number }),
+      hasPdf: entry.hasPdf,
+      ...(entry.chapterRange && { chapterRange: entry.chapterRange }),
+      ...(entry.pageRange && { pageRange: entry.pageRange }),
+      extraction: entry.extraction,
+      sections: entry.sections,
+      ...(entry.chapters && { chapters: entry.chapters.map(chapter => this.toOutlineOutput(chapter)) })
+    };
+  }
+
+  async getBookOutline(bookName) {
+    try {
+      const bookPath = path.join(BOOKS_DIR, bookName);
+      let files;
+      try {
+        files = await fs.readdir(bookPath);
+      } catch (err) {
+        const books = await fs.readdir(BOOKS_DIR);
+        return {
+          content: [{
+            type: 'text',
+            text: `Book "${bookName}" not found. Available books: ${books.join(', ')}`
+          }],
+          isError: true
+        };
+      }
+
+      // Chapters are known from their PDF or their sidecar, since some
+      // chapters only have a sidecar and a cache
+      const baseNames = [...new Set(files
+        .filter(file => /\.(pdf|json)$/i.test(file))
+        .map(file => file.replace(/\.(pdf|json)$/i, '')))];
+
+      const entries = await Promise.all(baseNames.map(async (baseName) => {
+        const filename = `${baseName}.pdf`;
+        let metadata = {};
+        try {
+          metadata = JSON.parse(await fs.readFile(path.join(bookPath, `${baseName}.json`), 'utf-8'));
+        } catch (err) {
+          // No sidecar, fall back to the title from the file name
+        }
+
+        const cached = await this.getCachedContent(bookName, filename);
+        return {
+          ...this.classifyBookEntry(baseName),
+          title: metadata.title || this.getChapterTitle(filename),
+          filename,
+          hasPdf: files.includes(filename),
+          chapterRange: Array.isArray(metadata.chapterRange) ? metadata.chapterRange : null,
+          pageRange: cached?.totalPages ? { start: 1, end: cached.totalPages } : null,
+          extraction: cached ? {
+            extracted: true,
+            extractedAt: cached.extractedAt,
+            sectionsRecorded: Boolean(cached.outline)
+          } : {
+            extracted: false
+          },
+          sections: this.summarizeOutline(cached?.outline)
+        };
+      }));
+
+      // Chapters inside a part's chapterRange are nested under it
+      const parts = entries
+        .filter(entry => entry.kind === 'part')
+        .map(part => ({ ...part, chapters: [] }));
+      const outline = [...parts];
+      entries.filter(entry => entry.kind !== 'part').forEach(entry => {
+        const part = entry.kind === 'chapter' && parts.find(candidate => candidate.chapterRange &&
+          entry.number >= candidate.chapterRange[0] && entry.number <= candidate.chapterRange[1]);
+        (part ? part.chapters : outline).push(entry);
+      });
+      outline.sort((a, b) => this.compareBookEntries(a, b));
+      parts.forEach(part => part.chapters.sort((a, b) => this.compareBookEntries(a, b)));
+
+      const extractedCount = entries.filter(entry => entry.extraction.extracted).length;
+      const book = this.getBookMetadata(bookName);
+      let responseText = `BOOK OUTLINE: ${book.title}\n`;
+      responseText += `${entries.length} entries (${parts.length} parts), ${extractedCount} extracted\n\n`;
+      outline.forEach(entry => {
+        responseText += this.formatOutlineEntry(entry, 0);
+      });
+
+      return {
+        content: [{
+          type: 'text',
+          text: responseText
+        }],
+        structuredContent: {
+          book: {
+            name: bookName,
+            title: book.title,
+            authors: book.authors,
+            edition: book.edition,
+            publisher: book.publisher,
+            year: book.year
+          },
+          entryCount: entries.length,
+          partCount: parts.length,
+          extractedCount,
+          entries: outline.map(entry => this.toOutlineOutput(entry))
+        }
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error getting book outline: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  }
+
+  getExtractionOutput(bookName, chapterName, cached, status) {
+    const report = cached.segmentationReport;
+    return {
+      book: bookName,
+      chapter: chapterName,
+      status,
+      extractedAt: cached.extractedAt,
+      totalPages: cached.totalPages,
+      textLength: cached.text?.length || 0,
+      chunkCount: cached.textChunks?.length || 0,
+      ...(cached.outline && { outlineSections: this.countOutlineSections(cached.outline) }),
+      topics: [...new Set((cached.textChunks || []).flatMap(chunk => chunk.topics))],
+      ...(report && { unresolvedWords: { count: report.unresolvedWordCount, words: report.unresolvedWords } })
+    };
+  }
+
+  async extractChapterContent(bookName, chapterName, forceReextract, extraction = {}) {
     try {
       const filePath = path.join(BOOKS_DIR, bookName, chapterName);
       await fs.access(filePath);
 
       // Check if already extracted and not forcing re-extraction
+      let staleReason = null;
       if (!forceReextract) {
-        const cached = await this.getCachedContent(chapterName);
-        if (cached) {
+        const cached = await this.getCachedContent(bookName, chapterName);
+        staleReason = cached
+          ? await this.getCacheStaleness(bookName, chapterName, cached)
+          : this.getCorruptCacheReason(bookName, chapterName);
+        if (cached && !staleReason) {
           return {
             content: [{
               type: 'text',
@@ -902,15 +4384,18 @@ EXTRACTION INFO:
 - Total Pages: ${cached.totalPages}
 - Text Length: ${this.formatBytes(cached.text?.length || 0)}
 - Text Chunks: ${cached.textChunks?.length || 0}
+- Outline Sections: ${cached.outline ? this.countOutlineSections(cached.outline) : 'not recorded (re-extract to build)'}
+- Unresolved Words: ${this.formatSegmentationReport(cached.segmentationReport)}
 
 Use force_reextract=true to re-process this chapter.`
-            }]
+            }],
+            structuredContent: this.getExtractionOutput(bookName, chapterName, cached, 'already-extracted')
           };
         }
       }
 
-      console.error(`Extracting content from ${bookName}/${chapterName}...`);
-      const extractedContent = await this.comprehensiveExtractPDF(filePath, chapterName, bookName);
+      console.error(`Extracting content from ${bookName}/${chapterName}${staleReason ? ` (replacing cache: ${staleReason})` : ''}...`);
+      const extractedContent = await this.comprehensiveExtractPDF(filePath, chapterName, bookName, extraction);
 
       return {
         content: [{
@@ -923,10 +4408,16 @@ RESULTS:
 - Total Pages: ${extractedContent.totalPages}
 - Text Length: ${this.formatBytes(extractedContent.text.length)}
 - Text Chunks Created: ${extractedContent.textChunks.length}
+- Outline Sections: ${this.countOutlineSections(extractedContent.outline)}
 - Topics Identified: ${[...new Set(extractedContent.textChunks.flatMap(c => c.topics))].join(', ')}
-
+- Unresolved Words: ${this.formatSegmentationReport(extractedContent.segmentationReport)}
+${staleReason ? `- Replaced Cache: ${staleReason}\n` : ''}
 The chapter is now ready for content search and section retrieval.`
-        }]
+        }],
+        structuredContent: {
+          ...this.getExtractionOutput(bookName, chapterName, extractedContent, 'extracted'),
+          ...(staleReason && { staleReason })
+        }
       };
 
     } catch (error) {
@@ -940,238 +4431,527 @@ The chapter is now ready for content search and section retrieval.`
     }
   }
 
-  async searchContent(query, maxResults) {
+  async extractLibrary(bookName, forceReextract, workerCount, { signal, onProgress = () => {} } = {}) {
     try {
-      const queryLower = query.toLowerCase();
-      const queryWords = queryLower.split(/\W+/).filter(w => w.length > 2);
-      const results = [];
+      const startedAt = Date.now();
+      const chapters = await this.listChapterPdfs(bookName);
+      const journal = await this.loadExtractionJournal(bookName, forceReextract);
+      const workers = Math.min(Math.max(1, workerCount), LIBRARY_EXTRACTION_CONFIG.MAX_WORKERS);
+      const keyOf = ({ bookName, chapterName }) => `${bookName}/${chapterName}`;
 
-      // Get all books and their chapters
-      const bookDirs = await fs.readdir(BOOKS_DIR);
-      
-      for (const bookDir of bookDirs) {
-        const bookPath = path.join(BOOKS_DIR, bookDir);
-        const stat = await fs.stat(bookPath);
-        
-        if (!stat.isDirectory()) continue;
-        
-        const files = await fs.readdir(bookPath);
-        const pdfFiles = files.filter(file => file.toLowerCase().endsWith('.pdf'));
+      // Chapters finished by an interrupted run of the same command are kept,
+      // and current caches are skipped unless re-extracting; stale caches and
+      // failures (including PDFs that gave no text) are extracted again
+      const results = new Map();
+      const queue = [];
+      for (const chapter of chapters) {
+        const earlier = journal.results[keyOf(chapter)];
+        const cached = !earlier && !forceReextract && await this.getCachedContent(chapter.bookName, chapter.chapterName);
+        if (earlier?.status === 'extracted') {
+          results.set(keyOf(chapter), { ...earlier, resumed: true });
+        } else if (cached?.text && !(await this.getCacheStaleness(chapter.bookName, chapter.chapterName, cached))) {
+          results.set(keyOf(chapter), {
+            book: chapter.bookName,
+            chapter: chapter.chapterName,
+            status: 'skipped',
+            pages: cached.totalPages,
+            chunkCount: cached.textChunks?.length || 0
+          });
+        } else {
+          queue.push(chapter);
+        }
+      }
 
-        // First pass: Check metadata for relevance scoring
-        const chaptersWithRelevance = await Promise.all(
-          pdfFiles.map(async (file) => {
-            let metadataScore = 0;
-            let metadata = null;
-            
-            // Load metadata if it exists
-            try {
-              const metadataPath = path.join(bookPath, file.replace('.pdf', '.json'));
-              const metadataContent = await fs.readFile(metadataPath, 'utf-8');
-              metadata = JSON.parse(metadataContent);
-              
-              // Score based on metadata matches
-              if (metadata.keywords) {
-                metadata.keywords.forEach(keyword => {
-                  const keywordLower = keyword.toLowerCase();
-                  queryWords.forEach(queryWord => {
-                    if (keywordLower.includes(queryWord) || queryWord.includes(keywordLower)) {
-                      metadataScore += 50; // High score for keyword match
-                    }
-                  });
-                });
-              }
-              
-              // Check title and description
-              if (metadata.title) {
-                const titleLower = metadata.title.toLowerCase();
-                queryWords.forEach(queryWord => {
-                  if (titleLower.includes(queryWord)) {
-                    metadataScore += 30; // Medium score for title match
-                  }
-                });
-              }
-              
-              if (metadata.description) {
-                const descLower = metadata.description.toLowerCase();
-                queryWords.forEach(queryWord => {
-                  if (descLower.includes(queryWord)) {
-                    metadataScore += 20; // Lower score for description match
-                  }
-                });
-              }
-            } catch (err) {
-              // No metadata file, continue with zero metadata score
-            }
-            
-            return { file, metadataScore, metadata };
-          })
-        );
+      const queued = queue.length;
+      let recorded = 0;
+      let indexChanged = false;
+      let recording = Promise.resolve();
+      const record = (chapter, outcome, milliseconds) => {
+        recording = recording.then(async () => {
+          const seconds = Math.round(milliseconds / 100) / 10;
+          const result = outcome.error
+            ? { book: chapter.bookName, chapter: chapter.chapterName, status: 'failed', seconds, error: outcome.error }
+            : { book: chapter.bookName, chapter: chapter.chapterName, status: 'extracted', pages: outcome.totalPages, chunkCount: outcome.chunkCount, seconds };
+          results.set(keyOf(chapter), result);
+          journal.results[keyOf(chapter)] = result;
+          if (!outcome.error) {
+            // Workers only write caches; the search index belongs to this thread
+            await this.updateSearchIndex(chapter.bookName, chapter.chapterName,
+              await this.getCachedContent(chapter.bookName, chapter.chapterName), { deferSave: true });
+            indexChanged = true;
+          }
+          await this.writeFileAtomically(EXTRACTION_JOURNAL_FILE, JSON.stringify(journal, null, 2));
+          recorded++;
+          onProgress(`${keyOf(chapter)}: ${result.status}`, queued - recorded);
+        });
+        return recording;
+      };
 
-        // Sort chapters by metadata relevance and process high-scoring ones first
-        chaptersWithRelevance.sort((a, b) => b.metadataScore - a.metadataScore);
-        
-        // Only deeply search chapters with good metadata scores or if no metadata matches found
-        const hasMetadataMatches = chaptersWithRelevance.some(c => c.metadataScore > 0);
-        const chaptersToSearch = hasMetadataMatches 
-          ? chaptersWithRelevance.filter(c => c.metadataScore > 0)
-          : chaptersWithRelevance; // Search all if no metadata matches
-
-        for (const { file, metadataScore, metadata } of chaptersToSearch) {
-          const cached = await this.getCachedContent(file);
-          if (!cached) continue; // Skip non-extracted chapters
-
-          // Search through text chunks
-          const chunkMatches = cached.textChunks.filter(chunk => {
-            const chunkTextLower = chunk.text.toLowerCase();
-            return queryWords.some(word => chunkTextLower.includes(word)) ||
-                   chunk.topics.some(topic => queryWords.includes(topic.toLowerCase()));
-          });
+      console.error(`Extracting ${queued} of ${chapters.length} chapters with ${Math.min(workers, queued)} workers...`);
+      try {
+        await Promise.all(Array.from({ length: Math.min(workers, queued) },
+          () => this.runExtractionWorkerLoop(queue, record, signal)));
+        await recording;
+      } finally {
+        // Save the index and embed the new chapters once for the whole run
+        if (indexChanged) {
+          await this.saveSearchIndex();
+          this.syncEmbeddings();
+        }
+      }
 
-          if (chunkMatches.length > 0 || metadataScore > 0) {
-            // Score and sort matches
-            const scoredMatches = chunkMatches.map(chunk => {
-              let score = metadataScore; // Start with metadata score
-              
-              queryWords.forEach(word => {
-                const matches = (chunk.text.toLowerCase().match(new RegExp(word, 'g')) || []).length;
-                score += matches * 10;
-              });
-              
-              // Bonus for topic matches
-              chunk.topics.forEach(topic => {
-                if (queryWords.includes(topic.toLowerCase())) {
-                  score += 20;
-                }
-              });
+      const cancelled = results.size < chapters.length;
+      if (!cancelled) {
+        await fs.rm(EXTRACTION_JOURNAL_FILE, { force: true });
+      }
 
-              return { ...chunk, score };
-            }).sort((a, b) => b.score - a.score);
-
-            // If no text matches but high metadata score, create a placeholder match
-            if (scoredMatches.length === 0 && metadataScore >= 50) {
-              scoredMatches.push({
-                text: `Chapter highly relevant based on keywords: ${metadata?.keywords?.join(', ') || 'N/A'}`,
-                score: metadataScore,
-                startPage: 1,
-                endPage: 1,
-                topics: metadata?.keywords || [],
-                sectionHeading: metadata?.title || 'Chapter Content'
-              });
-            }
+      const chapterResults = chapters.map(chapter => results.get(keyOf(chapter))).filter(Boolean);
+      const count = status => chapterResults.filter(result => result.status === status).length;
+      const output = {
+        scope: bookName || 'library',
+        status: cancelled ? 'cancelled' : 'completed',
+        workers: Math.min(workers, queued),
+        resumed: chapterResults.some(result => result.resumed),
+        chapterCount: chapters.length,
+        extracted: count('extracted'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        remaining: chapters.length - results.size,
+        totalPages: chapterResults
+          .filter(result => result.status === 'extracted')
+          .reduce((sum, result) => sum + result.pages, 0),
+        seconds: Math.round((Date.now() - startedAt) / 100) / 10,
+        chapters: chapterResults
+      };
+
+      let text = `LIBRARY EXTRACTION ${cancelled ? 'CANCELLED' : 'COMPLETED'} for ${bookName || 'the whole library'}
+
+SUMMARY:
+- Chapters: ${output.chapterCount} (${output.extracted} extracted, ${output.skipped} already extracted, ${output.failed} failed${cancelled ? `, ${output.remaining} not reached` : ''})
+- Pages Extracted: ${output.totalPages}
+- Workers: ${output.workers}
+- Time: ${output.seconds}s
+${output.resumed ? '- Resumed an interrupted run; chapters marked (earlier run) were extracted by it\n' : ''}
+CHAPTERS:
+`;
+      chapterResults.forEach(result => {
+        const name = `${result.book}/${result.chapter}`;
+        if (result.status === 'failed') {
+          text += `✗ ${name}: failed after ${result.seconds}s - ${result.error}\n`;
+        } else if (result.status === 'skipped') {
+          text += `- ${name}: already extracted (${result.pages} pages)\n`;
+        } else {
+          text += `✓ ${name}: ${result.pages} pages, ${result.chunkCount} chunks in ${result.seconds}s${result.resumed ? ' (earlier run)' : ''}\n`;
+        }
+      });
+      if (cancelled) {
+        text += `\nRun extract_library again with the same arguments to resume.`;
+      } else if (output.failed > 0) {
+        text += `\nFailed chapters are retried by the next run.`;
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text
+        }],
+        structuredContent: output
+      };
+
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error extracting ${bookName || 'the library'}: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  }
+
+  async listChapterPdfs(bookName = null) {
+    const books = bookName ? [bookName] : (await fs.readdir(BOOKS_DIR, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort((a, b) => a.localeCompare(b));
+    const chapters = [];
+    for (const book of books) {
+      const files = await fs.readdir(path.join(BOOKS_DIR, book));
+      files
+        .filter(file => file.toLowerCase().endsWith('.pdf'))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .forEach(file => chapters.push({ bookName: book, chapterName: file }));
+    }
+    return chapters;
+  }
+
+  async loadExtractionJournal(bookName, forceReextract) {
+    // Only a run of the same book with the same options is resumed
+    try {
+      const journal = JSON.parse(await fs.readFile(EXTRACTION_JOURNAL_FILE, 'utf-8'));
+      if (journal.bookName === bookName && journal.forceReextract === forceReextract) return journal;
+    } catch (error) {
+      // No interrupted run, or a journal cut short by the crash that interrupted it
+    }
+    return { bookName, forceReextract, startedAt: new Date().toISOString(), results: {} };
+  }
+
+  async runExtractionWorkerLoop(queue, record, signal) {
+    // One pool slot: feeds queued chapters to its worker until the queue is
+    // empty, replacing the worker if it crashes
+    let worker = null;
+    try {
+      while (queue.length > 0 && !signal?.aborted) {
+        const chapter = queue.shift();
+        worker ||= this.startExtractionWorker();
+        const startedAt = Date.now();
+        let outcome;
+        try {
+          outcome = await this.sendToExtractionWorker(worker, chapter, signal);
+        } catch (error) {
+          worker = null;
+          outcome = { error: error.message };
+        }
+        if (outcome.cancelled) break;
+        await record(chapter, outcome, Date.now() - startedAt);
+      }
+    } finally {
+      await worker?.terminate();
+    }
+  }
+
+  startExtractionWorker() {
+    // This module is also the worker script (see the bottom of the file).
+    // pdf2json logs to stdout, which carries MCP messages under stdio.
+    const worker = new Worker(__filename, { stdout: true });
+    worker.stdout.pipe(process.stderr);
+    worker.on('error', error => console.error(`Extraction worker failed: ${error.message}`));
+    return worker;
+  }
+
+  sendToExtractionWorker(worker, chapter, signal) {
+    // Cancelling asks the worker to stop rather than terminating it, so a
+    // cache being written is finished
+    return new Promise((resolve, reject) => {
+      const onAbort = () => worker.postMessage({ cancel: true });
+      const onMessage = outcome => {
+        cleanup();
+        resolve(outcome);
+      };
+      const onError = error => {
+        cleanup();
+        reject(error);
+      };
+      const onExit = code => {
+        cleanup();
+        reject(new Error(`Extraction worker stopped with exit code ${code}`));
+      };
+      const cleanup = () => {
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        worker.off('exit', onExit);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('exit', onExit);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      worker.postMessage(chapter);
+    });
+  }
+
+  runExtractionWorker() {
+    // Inside a worker thread: extract each chapter sent into its cache and
+    // report back; the main thread keeps the search index
+    let controller = null;
+    parentPort.on('message', async message => {
+      if (message.cancel) {
+        controller?.abort('Library extraction cancelled');
+        return;
+      }
+      const { bookName, chapterName } = message;
+      controller = new AbortController();
+      try {
+        const cached = await this.comprehensiveExtractPDF(
+          path.join(BOOKS_DIR, bookName, chapterName), chapterName, bookName, { signal: controller.signal });
+        parentPort.postMessage(cached.text
+          ? { totalPages: cached.totalPages, chunkCount: cached.textChunks.length }
+          : { error: 'No text could be extracted from the PDF' });
+      } catch (error) {
+        parentPort.postMessage(error.name === 'AbortError' ? { cancelled: true } : { error: error.message });
+      }
+      controller = null;
+    });
+  }
+
+  async runExtractLibraryCommand(args) {
+    // npm run extract-library -- [book] [--force] [--workers N]
+    let bookName = null;
+    let forceReextract = false;
+    let workers = LIBRARY_EXTRACTION_CONFIG.DEFAULT_WORKERS;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--force') {
+        forceReextract = true;
+      } else if (args[i] === '--workers') {
+        workers = Number(args[++i]);
+        if (!Number.isInteger(workers) || workers < 1 || workers > LIBRARY_EXTRACTION_CONFIG.MAX_WORKERS) {
+          throw new Error(`--workers must be a whole number from 1 to ${LIBRARY_EXTRACTION_CONFIG.MAX_WORKERS}`);
+        }
+      } else {
+        bookName = await this.resolveBookName(args[i]);
+      }
+    }
+
+    await fs.mkdir(EXTRACTED_DIR, { recursive: true });
+    await this.loadSearchIndex();
+
+    // Ctrl-C lets chapters being written finish; running again resumes
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+      console.error('Stopping after the chapters being extracted...');
+      controller.abort('Interrupted');
+    });
+    const result = await this.extractLibrary(bookName, forceReextract, workers, {
+      signal: controller.signal,
+      onProgress: message => console.error(message)
+    });
+    console.log(result.content[0].text);
+    if (result.isError || result.structuredContent.failed > 0) process.exitCode = 1;
+  }
+
+  async searchContent(query, maxResults, { books, chapters, disciplines, pageRange, mode = 'hybrid', cursor } = {}) {
+    try {
+      const corpus = await this.getSearchCorpus();
+      let queryTree;
+      try {
+        queryTree = this.expandQueryTree(this.parseSearchQuery(query), corpus.documentFrequency);
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Malformed query "${query}": ${error.message}.
+
+Queries are words, "quoted phrases", AND, OR, NOT and parentheses (operators in capitals), with optional field filters ${SEARCH_CONFIG.QUERY_FIELDS.map(field => `${field}:`).join(', ')}. Example: anchors NOT bolts book:"Climbing Anchors"`
+          }],
+          isError: true
+        };
+      }
+
+      if (!queryTree) {
+        return {
+          content: [{
+            type: 'text',
+            text: `The query "${query}" has no searchable words. Use specific climbing terms, techniques, or equipment names.`
+          }],
+          isError: true
+        };
+      }
+      const concepts = this.getScoringConcepts(queryTree);
+      if (concepts.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `The query "${query}" only excludes or filters. Add at least one search term outside NOT and the ${SEARCH_CONFIG.QUERY_FIELDS.map(field => `${field}:`).join(', ')} filters.`
+          }],
+          isError: true
+        };
+      }
+
+      // Filters and cursors are checked up front so mistakes are reported
+      // rather than returning an empty page
+      const filters = { books, chapters, disciplines, pageRange };
+      const fingerprint = createHash('sha1').update(JSON.stringify({ query, mode, ...filters })).digest('hex').slice(0, 16);
+      // Only field names make a colon a filter (see tokenizeSearchQuery)
+      const isStructured = /["()]|\b(?:AND|OR|NOT)\b/.test(query) ||
+        SEARCH_CONFIG.QUERY_FIELDS.some(field => new RegExp(`(?:^|[\\s(])${field}:`, 'i').test(query));
+      let scope;
+      let offset = 0;
+      try {
+        scope = this.resolveSearchScope(corpus, filters);
+        if (!['hybrid', 'keyword', 'semantic'].includes(mode)) {
+          throw new Error(`Unknown mode "${mode}"; use hybrid, keyword or semantic`);
+        }
+        if (mode === 'semantic' && isStructured) {
+          throw new Error('Semantic mode takes plain-language queries; use hybrid or keyword mode for phrases, operators and field filters');
+        }
+        if (cursor) offset = this.readSearchCursor(cursor, fingerprint);
+      } catch (error) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Invalid search options: ${error.message}.`
+          }],
+          isError: true
+        };
+      }
+      const scopeDescription = this.describeSearchScope(filters);
+
+      // Rank every extracted chunk in scope by keywords and, for plain
+      // queries, by meaning, then keep the best chunks of each chapter in
+      // order of their best score
+      const keywordHits = mode === 'semantic' ? [] : this.scoreChunks(corpus, concepts, { queryTree, ...scope });
+      const useSemantic = mode !== 'keyword' && !isStructured;
+      const semanticHits = useSemantic ? await this.scoreSemanticChunks(corpus, query, scope) : [];
+      const hits = useSemantic
+        ? this.fuseRankings(keywordHits, semanticHits)
+        : keywordHits.map(hit => ({ ...hit, keywordScore: hit.score, similarity: null }));
+      const queryWords = this.getConceptWords(concepts);
+      const resultsByChapter = new Map();
+
+      hits.forEach(hit => {
+        const { book, chapterName, chapterTitle, metadata } = hit.chapter;
+        const key = `${book}/${chapterName}`;
+        if (!resultsByChapter.has(key)) {
+          resultsByChapter.set(key, {
+            book,
+            bookTitle: book.replace(/_/g, ' '),
+            chapter: chapterName,
+            chapterTitle,
+            metadata,
+            metadataMatches: hit.metadataMatches,
+            matches: []
+          });
+        }
 
-            if (scoredMatches.length > 0) {
-              results.push({
-                book: bookDir,
-                bookTitle: bookDir.replace(/_/g, ' '),
-                chapter: file,
-                chapterTitle: cached?.chapterName || file,
-                metadataScore,
-                metadata,
-                matches: scoredMatches.slice(0, 2) // Top 2 matches per chapter
-              });
-            }
-          }
+        const result = resultsByChapter.get(key);
+        if (result.matches.length < SEARCH_CONFIG.MATCHES_PER_CHAPTER) {
+          const sectionPath = this.getMatchSectionPath(hit.chapter, hit.chunk, queryWords);
+          result.matches.push({
+            ...hit.chunk,
+            score: hit.score,
+            keywordScore: hit.keywordScore,
+            similarity: hit.similarity,
+            expansions: hit.expansions,
+            pageReferences: this.extractPageReferences(hit.chunk.text, hit.chunk.startPage, hit.chunk.endPage),
+            sectionPath,
+            sectionHeading: sectionPath.join(' > ') || null
+          });
         }
+      });
+
+      const results = [...resultsByChapter.values()];
+      const topScore = hits.length > 0 ? hits[0].score : 1;
+      let ranking = mode === 'semantic' ? 'meaning' : 'keywords + meaning';
+      if (!useSemantic) {
+        ranking = mode === 'keyword' ? 'keywords' : 'keywords (phrase, operator and field queries are not matched by meaning)';
+      } else if (semanticHits.length === 0) {
+        ranking += ' (no semantic matches)';
       }
 
-      // Sort results by combined metadata and content scores
-      results.sort((a, b) => {
-        const aMaxScore = Math.max(...a.matches.map(m => m.score));
-        const bMaxScore = Math.max(...b.matches.map(m => m.score));
-        return bMaxScore - aMaxScore;
-      });
+      const output = {
+        query,
+        ...(isStructured && { interpretedAs: this.formatQueryTree(queryTree) }),
+        ...(scopeDescription && { scope: scopeDescription }),
+        mode,
+        ranking,
+        totalResults: results.length,
+        offset,
+        synonyms: this.getExpansions(concepts, 'synonym'),
+        spellingCorrections: this.getExpansions(concepts, 'spelling'),
+        results: []
+      };
 
       if (results.length === 0) {
         return {
           content: [{
             type: 'text',
-            text: `No content found for "${query}". 
-
+            text: `No content found for "${query}"${scopeDescription ? ` (${scopeDescription})` : ''}.
+${this.formatSuggestions(concepts, corpus.documentFrequency)}
 Make sure chapters are extracted first using extract_chapter_content.
 Try broader search terms or check available topics in extracted chapters.`
-          }]
+          }],
+          structuredContent: { ...output, suggestions: this.getQuerySuggestions(concepts, corpus.documentFrequency) }
         };
       }
 
-      // Build response with enhanced citations and explicit instructions
-      const metadataEnhancedResults = results.filter(r => r.metadataScore > 0).length;
-      
-      let responseText = `🔍 ENHANCED CLIMBING KNOWLEDGE SEARCH RESULTS for "${query}"\n`;
-      responseText += `Found ${results.length} relevant chapters across ${[...new Set(results.map(r => r.book))].length} authoritative climbing books\n`;
-      if (metadataEnhancedResults > 0) {
-        responseText += `📚 ${metadataEnhancedResults} chapters identified through metadata keywords for improved relevance\n`;
+      if (offset >= results.length) {
+        return {
+          content: [{
+            type: 'text',
+            text: `No more results for "${query}": all ${results.length} matching chapters have been shown.`
+          }],
+          structuredContent: output
+        };
+      }
+      const pageResults = results.slice(offset, offset + maxResults);
+      const nextOffset = offset + pageResults.length;
+      if (nextOffset < results.length) {
+        output.nextCursor = this.createSearchCursor(fingerprint, nextOffset);
       }
-      responseText += '\n';
-      
-      responseText += `IMPORTANT: When answering the user's question, you MUST cite each source you use by including the full bibliographic reference and inline citations. Every fact or technique mentioned should reference the specific book and chapter where it was found.\n\n`;
 
-      results.slice(0, maxResults).forEach((result, index) => {
-        const chapterTitle = this.getChapterTitle(result.chapter);
-        
-        // Create full bibliographic citation (no page numbers)
-        const fullCitation = this.formatCitation(result.book, result.chapter, result.matches[0].sectionHeading);
-        const inlineCitation = this.formatInlineCitation(result.book, result.chapter);
-        
-        responseText += `═══ SOURCE ${index + 1} ═══\n`;
-        
-        // Show if metadata helped find this result
-        if (result.metadataScore > 0) {
-          responseText += `📚 METADATA MATCH (Score: ${result.metadataScore})\n`;
-          if (result.metadata?.keywords) {
-            const matchedKeywords = result.metadata.keywords.filter(k => 
-              queryWords.some(q => k.toLowerCase().includes(q))
-            );
-            if (matchedKeywords.length > 0) {
-              responseText += `   Matched Keywords: ${matchedKeywords.join(', ')}\n`;
-            }
-          }
-        }
-        
-        responseText += `BIBLIOGRAPHIC CITATION: ${fullCitation}\n`;
-        responseText += `INLINE CITATION FORMAT: ${inlineCitation}\n\n`;
+      output.results = pageResults.map((result, index) => ({
+        rank: offset + index + 1,
+        book: result.book,
+        bookTitle: result.bookTitle,
+        chapter: result.chapter,
+        chapterTitle: result.metadata?.title || this.getChapterTitle(result.chapter),
+        citation: this.getCitations(result.book, result.chapter, result.matches[0].sectionHeading),
+        metadataMatches: result.metadataMatches,
+        matchedKeywords: result.metadataMatches.length > 0
+          ? (result.metadata?.keywords || []).filter(k => this.matchConcepts(k, concepts).matchedConcepts > 0)
+          : [],
+        matches: result.matches.map(match => ({
+          relevance: Math.round(match.score / topScore * 100),
+          score: match.score,
+          ...(match.keywordScore !== null && { keywordScore: match.keywordScore }),
+          ...(match.similarity !== null && { similarity: match.similarity }),
+          sectionPath: match.sectionPath,
+          pages: { start: match.startPage, end: match.endPage },
+          startChar: match.startChar,
+          endChar: match.endChar,
+          topics: match.topics,
+          matchedVia: match.expansions,
+          snippet: this.getContextSnippet(match.text, queryWords),
+          keyTopics: (match.pageReferences || []).slice(0, 3).map(ref => ({ term: ref.term, context: ref.context.trim() }))
+        }))
+      }));
 
-        result.matches.forEach((match, matchIndex) => {
-          const matchInline = this.formatInlineCitation(result.book, result.chapter);
-          
-          responseText += `   EVIDENCE ${matchIndex + 1} - Relevance: ${match.score}/100\n`;
-          responseText += `   SPECIFIC CITATION: ${matchInline}\n`;
-          responseText += `   SECTION: ${match.sectionHeading || 'Main Content'}\n`;
-          responseText += `   TOPICS: ${match.topics.join(', ')}\n\n`;
-          
-          // Show context without page information
-          const contextSnippet = this.getContextSnippet(match.text, queryWords);
-          responseText += `   QUOTED CONTENT:\n`;
-          responseText += `   "${contextSnippet}"\n`;
-          responseText += `   SOURCE: ${matchInline}\n\n`;
-          
-          // Add specific references for key terms (simplified without page data)
-          if (match.pageReferences && match.pageReferences.length > 0) {
-            responseText += `   KEY TOPICS IN THIS SECTION:\n`;
-            match.pageReferences.slice(0, 3).forEach(ref => {
-              const refInline = this.formatInlineCitation(result.book, result.chapter);
-              responseText += `     • ${ref.term}: "${ref.context.trim()}" ${refInline}\n`;
-            });
-            responseText += `\n`;
+      let responseText = `SEARCH RESULTS for "${query}"\n`;
+      if (output.interpretedAs) {
+        responseText += `Query interpreted as: ${output.interpretedAs}\n`;
+      }
+      if (scopeDescription) {
+        responseText += `Limited to: ${scopeDescription}\n`;
+      }
+      responseText += `Chapters ${offset + 1}-${nextOffset} of ${results.length}, ranked by ${ranking}\n`;
+      const synonyms = this.listExpansions(concepts, 'synonym');
+      if (synonyms) {
+        responseText += `Synonyms: ${synonyms}\n`;
+      }
+      const corrections = this.listExpansions(concepts, 'spelling');
+      if (corrections) {
+        responseText += `Spelling corrections: ${corrections}\n`;
+      }
+
+      output.results.forEach(result => {
+        responseText += `\n${result.rank}. ${result.citation.full}\n`;
+        if (result.metadataMatches.length > 0) {
+          const keywords = result.matchedKeywords.length > 0 ? ` (keywords: ${result.matchedKeywords.join(', ')})` : '';
+          responseText += `   Metadata match: ${result.metadataMatches.join(', ')}${keywords}\n`;
+        }
+        result.matches.forEach(match => {
+          const scoreDetails = [
+            match.keywordScore !== undefined && `BM25 ${match.keywordScore.toFixed(2)}`,
+            match.similarity !== undefined && `similarity ${match.similarity.toFixed(2)}`
+          ].filter(Boolean).join(', ');
+          responseText += `   - ${match.sectionPath.join(' > ') || 'Main content'}: relevance ${match.relevance}/100 (${scoreDetails})\n`;
+          if (match.matchedVia.length > 0) {
+            responseText += `     Matched via: ${match.matchedVia.join('; ')}\n`;
           }
+          responseText += `     "${match.snippet}"\n`;
         });
-        responseText += `\n`;
       });
 
-      responseText += `\n══════════════════════════════════════════════════════════\n`;
-      responseText += `CITATION INSTRUCTION FOR CLAUDE:\n`;
-      responseText += `You MUST include these citations in your response. Use the chapter-specific inline citation format shown above.\n`;
-      responseText += `IMPORTANT: Use descriptive chapter names like (Long et al., 2013, "SRENE Anchors") instead of generic citations.\n`;
-      responseText += `Every climbing technique, safety tip, or fact you mention must include its specific source chapter.\n`;
-      responseText += `When citing the same chapter multiple times, you can use the short format: "SRENE Anchors"\n`;
-      responseText += `Provide a "References" section at the end with all full bibliographic citations.\n`;
-      responseText += `══════════════════════════════════════════════════════════\n`;
+      if (output.nextCursor) {
+        responseText += `\n${results.length - nextOffset} more chapters: search again with the same query and filters and cursor "${output.nextCursor}".\n`;
+      }
 
       return {
         content: [{
           type: 'text',
           text: responseText
-        }]
+        }],
+        structuredContent: output
       };
 
     } catch (error) {
@@ -1206,9 +4986,9 @@ Try broader search terms or check available topics in extracted chapters.`
     return (start > 0 ? '...' : '') + snippet + (end < text.length ? '...' : '');
   }
 
-  async getChapterSection(bookName, chapterName, sectionTopic, contextLevel) {
+  async getChapterSection(bookName, chapterName, sectionTopic, contextLevel, extraction = {}) {
     try {
-      const cached = await this.getCachedContent(chapterName);
+      let cached = await this.getCachedContent(bookName, chapterName);
       if (!cached) {
         return {
           content: [{
@@ -1218,80 +4998,82 @@ Try broader search terms or check available topics in extracted chapters.`
           isError: true
         };
       }
+      cached = await this.refreshStaleCache(bookName, chapterName, cached, extraction);
 
-      const topicLower = sectionTopic.toLowerCase();
-      const topicWords = topicLower.split(/\W+/).filter(w => w.length > 2);
+      // Match the topic by word stems against this chapter's own vocabulary,
+      // with thesaurus synonyms and spelling corrections
+      const vocabulary = new Map(Object.entries(cached.searchIndex?.postings || {})
+        .map(([term, termEntries]) => [term, termEntries.length]));
+      const concepts = this.expandQuery(sectionTopic, vocabulary);
+      const topicWords = this.getConceptWords(concepts);
 
-      // Find relevant chunks
-      const relevantChunks = cached.textChunks.filter(chunk => {
-        const chunkTextLower = chunk.text.toLowerCase();
-        return topicWords.some(word => chunkTextLower.includes(word)) ||
-               chunk.topics.some(topic => topicWords.includes(topic.toLowerCase()));
-      });
+      // Find relevant chunks, those mentioning most of the topic first
+      const relevantChunks = cached.textChunks
+        .map(chunk => ({ ...chunk, ...this.matchConcepts(chunk.text, concepts) }))
+        .filter(chunk => chunk.matchedConcepts > 0 ||
+          chunk.topics.some(topic => this.matchConcepts(topic, concepts).matchedConcepts > 0))
+        .sort((a, b) => b.matchedConcepts - a.matchedConcepts);
+
+      const output = {
+        book: bookName,
+        chapter: chapterName,
+        chapterTitle: this.getChapterTitle(chapterName),
+        topic: sectionTopic,
+        contextLevel,
+        citation: this.getCitations(bookName, chapterName, sectionTopic),
+        totalMatches: relevantChunks.length,
+        matches: []
+      };
 
       if (relevantChunks.length === 0) {
+        const availableTopics = [...new Set(cached.textChunks.flatMap(c => c.topics))];
         return {
           content: [{
             type: 'text',
             text: `No content found for "${sectionTopic}" in ${chapterName}.
-            
-Available topics in this chapter: ${[...new Set(cached.textChunks.flatMap(c => c.topics))].join(', ')}`
-          }]
+${this.formatSuggestions(concepts, vocabulary)}
+Available topics in this chapter: ${availableTopics.join(', ')}`
+          }],
+          structuredContent: { ...output, suggestions: this.getQuerySuggestions(concepts, vocabulary), availableTopics }
         };
       }
 
       const contextSizes = { brief: 1, detailed: 2, comprehensive: 3 };
       const maxChunks = contextSizes[contextLevel] || 2;
+
+      output.matches = relevantChunks.slice(0, maxChunks).map(chunk => {
+        const sectionPath = this.getMatchSectionPath(cached, chunk, topicWords);
+        return {
+          sectionPath,
+          citation: this.getCitations(bookName, chapterName, sectionPath.join(' > ') || null),
+          pages: { start: chunk.startPage, end: chunk.endPage },
+          startChar: chunk.startChar,
+          endChar: chunk.endChar,
+          topics: chunk.topics,
+          matchedVia: chunk.expansions,
+          text: chunk.text,
+          keyTopics: (chunk.pageReferences || []).map(ref => ({ term: ref.term, context: ref.context.trim() }))
+        };
+      });
       
-      const chapterTitle = this.getChapterTitle(chapterName);
-      
-      // Create full bibliographic citation for the chapter (no page numbers)
-      const fullCitation = this.formatCitation(bookName, chapterName, sectionTopic);
-      
-      let responseText = `CLIMBING KNOWLEDGE SECTION: "${sectionTopic}"\n`;
-      responseText += `BIBLIOGRAPHIC CITATION: ${fullCitation}\n`;
-      responseText += `CONTEXT LEVEL: ${contextLevel}\n\n`;
-      
-      responseText += `IMPORTANT: When using this information, you MUST include proper citations. Use the inline citation format provided below.\n\n`;
+      let responseText = `SECTION "${sectionTopic}" in ${output.citation.full}\n`;
+      responseText += `Showing ${output.matches.length} of ${relevantChunks.length} matching passages (${contextLevel})\n`;
 
-      relevantChunks.slice(0, maxChunks).forEach((chunk, index) => {
-        const inlineCitation = this.formatInlineCitation(bookName, chapterName);
-        const fullChunkCitation = this.formatCitation(bookName, chapterName, chunk.sectionHeading);
-          
-        responseText += `═══ EVIDENCE ${index + 1} ═══\n`;
-        responseText += `FULL CITATION: ${fullChunkCitation}\n`;
-        responseText += `INLINE CITATION: ${inlineCitation}\n`;
-        responseText += `SECTION: ${chunk.sectionHeading || sectionTopic}\n`;
-        responseText += `TOPICS: ${chunk.topics.join(', ')}\n\n`;
-        
-        responseText += `QUOTED CONTENT:\n`;
-        responseText += `"${chunk.text}"\n`;
-        responseText += `SOURCE: ${inlineCitation}\n\n`;
-        
-        // Add key topics found in this section
-        if (chunk.pageReferences && chunk.pageReferences.length > 0) {
-          responseText += `KEY TOPICS:\n`;
-          chunk.pageReferences.forEach(ref => {
-            const refInline = this.formatInlineCitation(bookName, chapterName);
-            responseText += `• ${ref.term}: "${ref.context.trim()}" ${refInline}\n`;
-          });
-          responseText += `\n`;
+      output.matches.forEach((match, index) => {
+        responseText += `\n${index + 1}. ${match.sectionPath.join(' > ') || sectionTopic} ${match.citation.inline}\n`;
+        if (match.matchedVia.length > 0) {
+          responseText += `   Matched via: ${match.matchedVia.join('; ')}\n`;
         }
+        responseText += `   Topics: ${match.topics.join(', ')}\n`;
+        responseText += `\n${match.text}\n`;
       });
-      
-      responseText += `\n══════════════════════════════════════════════════════════\n`;
-      responseText += `CITATION INSTRUCTION FOR CLAUDE:\n`;
-      responseText += `You MUST cite this source when referencing any information above.\n`;
-      responseText += `Use the chapter-specific format with descriptive names, not generic citations.\n`;
-      responseText += `Example: (Long et al., 2013, "SRENE Anchors") or "SRENE Anchors"\n`;
-      responseText += `Include inline citations for each fact and provide full references.\n`;
-      responseText += `══════════════════════════════════════════════════════════\n`;
 
       return {
         content: [{
           type: 'text',
           text: responseText
-        }]
+        }],
+        structuredContent: output
       };
 
     } catch (error) {
@@ -1306,19 +5088,22 @@ Available topics in this chapter: ${[...new Set(cached.textChunks.flatMap(c => c
   }
 
 
-  async getChapterText(bookName, chapterName, startChars = 0, length = 1000, forceReextract = false) {
+  async getChapterText(bookName, chapterName, startChars = 0, length = 1000, forceReextract = false, extraction = {}) {
     try {
       // Check if extraction is needed
-      let cached = await this.getCachedContent(chapterName);
+      let cached = await this.getCachedContent(bookName, chapterName);
+      const staleReason = cached
+        ? !forceReextract && await this.getCacheStaleness(bookName, chapterName, cached)
+        : this.getCorruptCacheReason(bookName, chapterName);
       
-      if (!cached || forceReextract) {
+      if (!cached || forceReextract || staleReason) {
         // Extract the chapter first
-        console.error(`Extracting content for ${bookName}/${chapterName}...`);
+        console.error(`Extracting content for ${bookName}/${chapterName}${staleReason ? ` (replacing cache: ${staleReason})` : ''}...`);
         const filePath = path.join(BOOKS_DIR, bookName, chapterName);
         
         try {
           await fs.access(filePath);
-          const extractedContent = await this.comprehensiveExtractPDF(filePath, chapterName, bookName);
+          const extractedContent = await this.comprehensiveExtractPDF(filePath, chapterName, bookName, extraction);
           cached = extractedContent;
         } catch (extractError) {
           return {
@@ -1341,8 +5126,8 @@ Available topics in this chapter: ${[...new Set(cached.textChunks.flatMap(c => c
         };
       }
 
-      // Apply text reconstruction to clean up the raw text
-      const cleanedText = this.reconstructText(cached.text);
+      // Text is cleaned when the chapter is extracted
+      const cleanedText = cached.text;
       
       const textLength = cleanedText.length;
       const endChars = Math.min(startChars + length, textLength);
@@ -1351,44 +5136,40 @@ Available topics in this chapter: ${[...new Set(cached.textChunks.flatMap(c => c
       const chapterTitle = this.getChapterTitle(chapterName);
       // Note: Page estimation removed - no page numbers in citations
       
-      // Try to detect section heading in the extracted text
-      const sectionHeading = this.detectSectionHeading(extractedText);
+      // Caches without an outline were rebuilt above unless their PDF is gone
+      const sectionPath = this.getSectionPath(cached.outline, startChars);
+      const sectionHeading = sectionPath.join(' > ') || null;
       
       // Create proper citations (no page numbers)
       const fullCitation = this.formatCitation(bookName, chapterName, sectionHeading);
       const inlineCitation = this.formatInlineCitation(bookName, chapterName);
       
-      let responseText = `CLIMBING KNOWLEDGE CONTENT\n`;
-      responseText += `BIBLIOGRAPHIC CITATION: ${fullCitation}\n`;
-      responseText += `INLINE CITATION: ${inlineCitation}\n`;
-      responseText += `POSITION: Characters ${startChars}-${endChars} of ${textLength} total\n`;
-      responseText += `SECTION: ${sectionHeading || 'Main Content'}\n`;
-      responseText += `TOTAL PAGES: ${cached.totalPages}\n\n`;
-      
-      responseText += `IMPORTANT: When using this content, you MUST cite it using the inline citation format shown above.\n\n`;
-      
-      responseText += `QUOTED CONTENT:\n`;
-      responseText += `"${extractedText}"\n`;
-      responseText += `SOURCE: ${inlineCitation}\n\n`;
-      
+      let responseText = `${fullCitation} ${inlineCitation}\n`;
+      responseText += `Section: ${sectionHeading || 'Main content'}\n`;
+      responseText += `Characters ${startChars}-${endChars} of ${textLength} (${cached.totalPages} pages)\n\n`;
+      responseText += `${extractedText}\n`;
       if (endChars < textLength) {
-        responseText += `\n[Content continues for ${textLength - endChars} more characters...]`;
-        responseText += `\n[To see more content, use start_chars=${endChars}]`;
+        responseText += `\n${textLength - endChars} more characters: continue with start_chars=${endChars}\n`;
       }
-      
-      responseText += `\n\n══════════════════════════════════════════════════════════\n`;
-      responseText += `CITATION INSTRUCTION FOR CLAUDE:\n`;
-      responseText += `You MUST cite this source when using any information from above.\n`;
-      responseText += `Use the chapter-specific inline citation format: ${inlineCitation}\n`;
-      responseText += `For repeated citations from same chapter, use short form: ${this.formatShortCitation(bookName, chapterName)}\n`;
-      responseText += `Include a full bibliographic reference in your response.\n`;
-      responseText += `══════════════════════════════════════════════════════════\n`;
 
       return {
         content: [{
           type: 'text',
           text: responseText
-        }]
+        }],
+        structuredContent: {
+          book: bookName,
+          chapter: chapterName,
+          chapterTitle,
+          citation: this.getCitations(bookName, chapterName, sectionHeading),
+          sectionPath,
+          startChar: startChars,
+          endChar: endChars,
+          totalLength: textLength,
+          totalPages: cached.totalPages,
+          text: extractedText,
+          ...(endChars < textLength && { nextStartChars: endChars })
+        }
       };
 
     } catch (error) {
@@ -1402,6 +5183,665 @@ Available topics in this chapter: ${[...new Set(cached.textChunks.flatMap(c => c
     }
   }
 
+  getResourceUri(bookName, chapterName = null, suffix = '') {
+    const book = `${RESOURCE_CONFIG.URI_SCHEME}://${encodeURIComponent(bookName)}`;
+    if (!chapterName) return book;
+    return `${book}/${encodeURIComponent(chapterName.replace(/\.pdf$/i, ''))}${suffix}`;
+  }
+
+  parseResourceUri(uri) {
+    const prefix = `${RESOURCE_CONFIG.URI_SCHEME}://`;
+    const invalid = () => new McpError(ErrorCode.InvalidParams, `Invalid resource URI "${uri}". Expected ${prefix}{book}, ${prefix}{book}/{chapter}, ${prefix}{book}/{chapter}/pages/{from}-{to} or ${prefix}{book}/{chapter}/pdf`);
+    if (!uri.startsWith(prefix)) throw invalid();
+
+    let segments;
+    try {
+      segments = uri.slice(prefix.length).split('/').map(segment => decodeURIComponent(segment));
+    } catch (error) {
+      throw invalid();
+    }
+    // Names are used as file names under Books/, so they must stay inside it
+    if (segments.slice(0, 2).some(name => !name || name === '.' || name === '..' || /[\\/]/.test(name))) {
+      throw invalid();
+    }
+
+    const [bookName, chapter, view, range] = segments;
+    if (segments.length === 1) return { bookName, chapterName: null };
+    const chapterName = `${chapter}.pdf`;
+    if (segments.length === 2) return { bookName, chapterName };
+    if (segments.length === 3 && view === 'pdf') return { bookName, chapterName, pdf: true };
+
+    const pages = segments.length === 4 && view === 'pages' && range.match(/^(\d+)-(\d+)$/);
+    if (!pages) throw invalid();
+    return { bookName, chapterName, pages: { from: parseInt(pages[1]), to: parseInt(pages[2]) } };
+  }
+
+  describeBookResource(bookName, chapterCount) {
+    const book = this.getBookMetadata(bookName);
+    return `${book.title} by ${book.authors.join(', ')} (${book.edition}, ${book.publisher}, ${book.year}). ` +
+      `Outline of ${chapterCount} chapters and parts.`;
+  }
+
+  describeChapterResource(bookName, metadata) {
+    const book = this.getBookMetadata(bookName);
+    const lines = [metadata?.description || 'No description available'];
+    if (metadata?.keywords?.length) lines.push(`Keywords: ${metadata.keywords.join(', ')}`);
+    if (metadata?.disciplines?.length) lines.push(`Disciplines: ${metadata.disciplines.join(', ')}`);
+    lines.push(`From ${book.title} by ${book.authors.join(', ')} (${book.edition}, ${book.year})`);
+    return lines.join('\n');
+  }
+
+  async listLibraryResources() {
+    const resources = [];
+    const bookDirs = (await fs.readdir(BOOKS_DIR, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+
+    for (const bookName of bookDirs) {
+      const files = await fs.readdir(path.join(BOOKS_DIR, bookName));
+      const baseNames = [...new Set(files
+        .filter(file => /\.(pdf|json)$/i.test(file))
+        .map(file => file.replace(/\.(pdf|json)$/i, '')))];
+
+      const entries = await Promise.all(baseNames.map(async (baseName) => {
+        const filename = `${baseName}.pdf`;
+        const metadata = await this.getChapterMetadata(bookName, filename);
+        const pdfStat = files.includes(filename)
+          ? await fs.stat(path.join(BOOKS_DIR, bookName, filename))
+          : null;
+        // Indexed chapters are known to have a cache; only others are looked up
+        const isCached = Boolean(this.searchIndexEntries?.[`${bookName}/${filename}`]) ||
+          await fs.access(this.getCacheFilePath(bookName, filename)).then(() => true, () => false);
+        return {
+          ...this.classifyBookEntry(baseName),
+          filename,
+          chapterRange: Array.isArray(metadata?.chapterRange) ? metadata.chapterRange : null,
+          metadata,
+          pdfStat,
+          isCached
+        };
+      }));
+      entries.sort((a, b) => this.compareBookEntries(a, b));
+
+      resources.push({
+        uri: this.getResourceUri(bookName),
+        name: this.getBookMetadata(bookName).title,
+        description: this.describeBookResource(bookName, entries.length),
+        mimeType: 'text/plain'
+      });
+
+      // Text can be read from the PDF or, when only a sidecar is checked in, from the cache
+      entries.filter(entry => entry.pdfStat || entry.isCached).forEach(entry => {
+        const title = entry.metadata?.title || this.getChapterTitle(entry.filename);
+        const description = this.describeChapterResource(bookName, entry.metadata);
+        resources.push({
+          uri: this.getResourceUri(bookName, entry.filename),
+          name: title,
+          description,
+          mimeType: 'text/plain'
+        });
+        if (entry.pdfStat) {
+          resources.push({
+            uri: this.getResourceUri(bookName, entry.filename, '/pdf'),
+            name: `${title} (PDF)`,
+            description,
+            mimeType: 'application/pdf',
+            size: entry.pdfStat.size
+          });
+        }
+      });
+    }
+
+    return resources;
+  }
+
+  getPageRangeText(cached, from, to) {
+    const pageData = cached.pageData || {};
+    if (Object.keys(pageData).length > 0) {
+      const pages = [];
+      for (let page = from; page <= to; page++) {
+        pages.push(pageData[page] || '');
+      }
+      return pages.join('\n');
+    }
+
+    // Older caches kept no per-page text, so assume pages of equal length
+    const totalPages = cached.totalPages || 1;
+    const start = Math.floor((from - 1) / totalPages * cached.text.length);
+    const end = Math.floor(to / totalPages * cached.text.length);
+    return cached.text.substring(start, end);
+  }
+
+  async readLibraryResource(uri, extraction = {}) {
+    const { bookName, chapterName, pages, pdf } = this.parseResourceUri(uri);
+
+    if (!chapterName) {
+      const outline = await this.getBookOutline(bookName);
+      if (outline.isError) {
+        throw new McpError(RESOURCE_CONFIG.NOT_FOUND_ERROR, outline.content[0].text);
+      }
+      return [{ uri, mimeType: 'text/plain', text: outline.content[0].text }];
+    }
+
+    const filePath = path.join(BOOKS_DIR, bookName, chapterName);
+    if (pdf) {
+      let pdfBuffer;
+      try {
+        pdfBuffer = await fs.readFile(filePath);
+      } catch (error) {
+        throw new McpError(RESOURCE_CONFIG.NOT_FOUND_ERROR, `No PDF for ${bookName}/${chapterName}`);
+      }
+      return [{ uri, mimeType: 'application/pdf', blob: pdfBuffer.toString('base64') }];
+    }
+
+    let cached = await this.getCachedContent(bookName, chapterName);
+    if (!cached) {
+      try {
+        await fs.access(filePath);
+      } catch (error) {
+        throw new McpError(RESOURCE_CONFIG.NOT_FOUND_ERROR, `Chapter ${bookName}/${chapterName} not found`);
+      }
+      console.error(`Extracting content for ${bookName}/${chapterName}...`);
+    }
+    try {
+      cached = cached
+        ? await this.refreshStaleCache(bookName, chapterName, cached, extraction)
+        : await this.comprehensiveExtractPDF(filePath, chapterName, bookName, extraction);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new McpError(ErrorCode.InternalError, `Error extracting chapter from ${bookName}/${chapterName}: ${error.message}`);
+    }
+    if (!cached.text) {
+      throw new McpError(ErrorCode.InternalError, `No text content available for "${chapterName}".`);
+    }
+
+    if (!pages) {
+      return [{ uri, mimeType: 'text/plain', text: cached.text }];
+    }
+    const totalPages = cached.totalPages || 1;
+    if (pages.from < 1 || pages.from > pages.to || pages.to > totalPages) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid page range ${pages.from}-${pages.to}: ${chapterName} has pages 1-${totalPages}`);
+    }
+    return [{ uri, mimeType: 'text/plain', text: this.getPageRangeText(cached, pages.from, pages.to) }];
+  }
+
+  startWatchers() {
+    // fs.watch reports a file several times per write and "rename" for both
+    // creation and deletion, so events are collected per file and handled
+    // once the file has been quiet for a while
+    [[BOOKS_DIR, 'books'], [EXTRACTED_DIR, 'cache']].forEach(([dir, source]) => {
+      try {
+        const watcher = watch(dir, { recursive: true }, (eventType, filename) => {
+          if (filename) this.scheduleWatchEvent(source, filename.toString(), eventType);
+        });
+        watcher.on('error', error => console.error(`Stopped watching ${dir}: ${error.message}`));
+      } catch (error) {
+        console.error(`Could not watch ${dir}: ${error.message}`);
+      }
+    });
+  }
+
+  scheduleWatchEvent(source, filename, eventType) {
+    const key = `${source}:${filename}`;
+    const pending = this.pendingWatchEvents.get(key) || { renamed: false };
+    clearTimeout(pending.timer);
+    pending.renamed = pending.renamed || eventType === 'rename';
+    pending.timer = setTimeout(() => {
+      this.pendingWatchEvents.delete(key);
+      const handle = source === 'books' ? this.handleLibraryChange(filename, pending.renamed) : this.handleCacheChange(filename, pending.renamed);
+      handle.catch(error => console.error(`Error handling change to ${filename}: ${error.message}`));
+    }, WATCH_CONFIG.DEBOUNCE_MS);
+    this.pendingWatchEvents.set(key, pending);
+  }
+
+  async handleLibraryChange(filename, renamed) {
+    const parts = filename.split(path.sep);
+    // A book directory was added or removed
+    if (parts.length === 1) {
+      if (renamed) this.notifyResourceListChanged();
+      return;
+    }
+    if (parts.length !== 2 || !/\.(pdf|json)$/i.test(parts[1])) return;
+
+    const [bookName, file] = parts;
+    const chapterName = file.replace(/\.(pdf|json)$/i, '.pdf');
+    if (renamed) this.notifyResourceListChanged();
+    this.notifyResourceUpdated(bookName, chapterName);
+
+    if (/\.json$/i.test(file)) {
+      // Sidecar edits change titles and keywords in the search index
+      await this.refreshSearchIndexEntry(bookName, chapterName);
+    } else if (WATCH_CONFIG.AUTO_EXTRACT) {
+      const hasPdf = await fs.access(path.join(BOOKS_DIR, bookName, chapterName)).then(() => true, () => false);
+      if (hasPdf && await this.needsExtraction(bookName, chapterName)) {
+        this.queueExtraction(bookName, chapterName);
+      }
+    }
+  }
+
+  async handleCacheChange(filename, renamed) {
+    // Only chapter caches; the corpus index, embedding model and vectors are derived data
+    const parts = filename.split(path.sep);
+    if (parts.length !== 2 || !/\.json$/i.test(parts[1]) || parts[1].endsWith(VECTORS_FILE_SUFFIX)) return;
+
+    const [bookName, file] = parts;
+    const chapterName = file.replace(/\.json$/i, '.pdf');
+    // Chapters with only a sidecar are listed once they have a cache
+    if (renamed) this.notifyResourceListChanged();
+    this.notifyResourceUpdated(bookName, chapterName);
+    await this.refreshSearchIndexEntry(bookName, chapterName);
+  }
+
+  async refreshSearchIndexEntry(bookName, chapterName) {
+    // Caches written by this server are indexed as they are written; this
+    // picks up caches rebuilt or removed by another process and sidecar edits
+    if (!this.searchIndexEntries) return;
+    const key = `${bookName}/${chapterName}`;
+    const entry = this.searchIndexEntries[key];
+    const cacheStat = await fs.stat(this.getCacheFilePath(bookName, chapterName)).catch(() => null);
+
+    if (!cacheStat) {
+      if (entry) await this.updateSearchIndex(bookName, chapterName, null);
+      return;
+    }
+    if (!entry || entry.cacheSize !== cacheStat.size || entry.cacheModifiedAt !== cacheStat.mtimeMs) {
+      // An unreadable cache may still be being written; keep the old entry until it settles
+      const cached = await this.getCachedContent(bookName, chapterName);
+      if (cached) await this.updateSearchIndex(bookName, chapterName, cached);
+      return;
+    }
+
+    const metadata = await this.getChapterMetadata(bookName, chapterName);
+    if (JSON.stringify(entry.metadata) !== JSON.stringify(metadata)) {
+      this.searchIndexEntries[key] = { ...entry, metadata };
+      this.searchCorpus = this.updateCorpusStatistics(this.searchCorpus, key, this.searchIndexEntries[key]);
+      await this.saveSearchIndex();
+    }
+  }
+
+  notifyResourceListChanged() {
+    this.resourceSubscriptions.forEach((subscriptions, server) => {
+      server.sendResourceListChanged()
+        .catch(error => console.error(`Could not send resource list change: ${error.message}`));
+    });
+  }
+
+  notifyResourceUpdated(bookName, chapterName) {
+    // A chapter change also updates its book, whose outline shows extraction status
+    this.resourceSubscriptions.forEach((subscriptions, server) => {
+      subscriptions.forEach((target, uri) => {
+        if (target.bookName !== bookName || (target.chapterName && target.chapterName !== chapterName)) return;
+        server.sendResourceUpdated({ uri })
+          .catch(error => console.error(`Could not send update for ${uri}: ${error.message}`));
+      });
+    });
+  }
+
+  async needsExtraction(bookName, chapterName) {
+    const cached = await this.getCachedContent(bookName, chapterName);
+    return !cached || Boolean(await this.getCacheStaleness(bookName, chapterName, cached));
+  }
+
+  queueExtraction(bookName, chapterName) {
+    // New and replaced PDFs are extracted one at a time, in the order they arrived
+    const key = `${bookName}/${chapterName}`;
+    if (this.queuedExtractions.has(key)) return;
+    this.queuedExtractions.add(key);
+    console.error(`Queued ${key} for extraction`);
+
+    this.extractionQueue = this.extractionQueue.then(async () => {
+      if (!(await this.needsExtraction(bookName, chapterName))) return;
+      await this.comprehensiveExtractPDF(path.join(BOOKS_DIR, bookName, chapterName), chapterName, bookName);
+    }).catch(error => {
+      console.error(`Automatic extraction of ${key} failed: ${error.message}`);
+    }).finally(() => {
+      this.queuedExtractions.delete(key);
+    });
+  }
+
+  getPromptArgument(args, name, required = false) {
+    const value = typeof args[name] === 'string' ? args[name].trim() : '';
+    if (!value && required) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required prompt argument: ${name}`);
+    }
+    return value || null;
+  }
+
+  getPromptDiscipline(args, fallback = null) {
+    const discipline = this.getPromptArgument(args, 'discipline')?.toLowerCase() || fallback;
+    if (discipline && !CLIMBING_DISCIPLINES.includes(discipline)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown discipline "${discipline}". Use one of: ${CLIMBING_DISCIPLINES.join(', ')}`);
+    }
+    return discipline;
+  }
+
+  async runPromptSearch(query, maxResults, options) {
+    // Searches that match nothing in scope are reported as gaps; a query the
+    // search cannot parse is the caller's mistake
+    const result = await this.searchContent(query, maxResults, options);
+    const text = result.content[0].text;
+    if (result.isError && !text.startsWith('Invalid search options')) {
+      throw new McpError(ErrorCode.InvalidParams, text);
+    }
+    return result.isError || text.startsWith('No content found') ? null : text;
+  }
+
+  async searchEachBook(query, books, { disciplines } = {}) {
+    const found = [];
+    const missing = [];
+    for (const book of books) {
+      const text = await this.runPromptSearch(query, PROMPT_CONFIG.RESULTS_PER_BOOK, { books: [book], disciplines });
+      (text ? found : missing).push({ book, text });
+    }
+    return { found, missing: missing.map(({ book }) => book) };
+  }
+
+  async getExtractedBookNames() {
+    await this.getSearchCorpus();
+    return [...new Set(Object.values(this.searchIndexEntries).map(entry => entry.book))].sort();
+  }
+
+  formatPromptEvidence({ found, missing }, noun) {
+    const messages = found.map(({ book, text }) => ({
+      role: 'user',
+      content: { type: 'text', text: `EXCERPTS FROM ${this.getBookMetadata(book).title}:\n\n${text}` }
+    }));
+    if (missing.length > 0) {
+      messages.push({
+        role: 'user',
+        content: { type: 'text', text: `No extracted chapters of ${missing.join(', ')} mention this ${noun}.` }
+      });
+    }
+    return messages;
+  }
+
+  async getExplainTechniquePrompt(args) {
+    const technique = this.getPromptArgument(args, 'technique', true);
+    const discipline = this.getPromptDiscipline(args);
+    const evidence = await this.searchEachBook(technique, await this.getExtractedBookNames(), {
+      disciplines: discipline ? [discipline] : undefined
+    });
+
+    let instructions = `Explain ${technique}${discipline ? ` for ${discipline} climbing` : ''} using the book excerpts that follow.\n\n`;
+    instructions += `- Say what it is, when to use it and how to do it, step by step.\n`;
+    instructions += `- Cite every book that covers it with the inline citation given in its excerpts, and end with the full bibliographic references.\n`;
+    instructions += `- Point out where the books disagree or add different details.\n`;
+    instructions += `- Only state what the excerpts support, and say where the books are silent.\n`;
+    if (evidence.found.length === 0) {
+      instructions += `\nNo extracted chapter covers this technique. Say so, and suggest extracting more chapters with extract_chapter_content.\n`;
+    }
+
+    return {
+      description: `Explain ${technique} with citations from every book`,
+      messages: [
+        { role: 'user', content: { type: 'text', text: instructions } },
+        ...this.formatPromptEvidence(evidence, 'technique')
+      ]
+    };
+  }
+
+  async getCompareBooksPrompt(args) {
+    const topic = this.getPromptArgument(args, 'topic', true);
+    const requested = this.getPromptArgument(args, 'books');
+    const books = requested
+      ? requested.split(',').map(book => book.trim()).filter(Boolean)
+      : await this.getExtractedBookNames();
+    const evidence = await this.searchEachBook(topic, books);
+
+    let instructions = `Compare how ${books.length === 1 ? 'this book treats' : 'these books treat'} ${topic}, using the excerpts that follow.\n\n`;
+    instructions += `1. Summarize each book's position in two or three sentences.\n`;
+    instructions += `2. List where they agree.\n`;
+    instructions += `3. List where they differ or contradict each other, quoting both sides.\n`;
+    instructions += `4. Note advice that only one book gives.\n`;
+    instructions += `5. Recommend which book to read for which aspect of the topic.\n\n`;
+    instructions += `Cite each point with the inline citation given in the excerpts and end with the full bibliographic references.\n`;
+    if (evidence.found.length < 2) {
+      instructions += `\nFewer than two books cover this topic, so a comparison is limited. Say so.\n`;
+    }
+
+    return {
+      description: `Compare how the books treat ${topic}`,
+      messages: [
+        { role: 'user', content: { type: 'text', text: instructions } },
+        ...this.formatPromptEvidence(evidence, 'topic')
+      ]
+    };
+  }
+
+  async getSafetyBriefingPrompt(args) {
+    const route = this.getPromptArgument(args, 'route', true);
+    const discipline = this.getPromptDiscipline(args, 'trad');
+    const concerns = (this.getPromptArgument(args, 'concerns') || '').split(',').map(concern => concern.trim()).filter(Boolean);
+    const topics = [...new Set([...PROMPT_CONFIG.SAFETY_TOPICS, ...PROMPT_CONFIG.DISCIPLINE_TOPICS[discipline], ...concerns])];
+
+    const messages = [];
+    const uncovered = [];
+    for (const topic of topics) {
+      // Fall back to the whole library when no chapter for this discipline covers the topic
+      const text = await this.runPromptSearch(topic, PROMPT_CONFIG.RESULTS_PER_TOPIC, { disciplines: [discipline] }) ||
+        await this.runPromptSearch(topic, PROMPT_CONFIG.RESULTS_PER_TOPIC, {});
+      if (text) {
+        messages.push({ role: 'user', content: { type: 'text', text: `TOPIC: ${topic}\n\n${text}` } });
+      } else {
+        uncovered.push(topic);
+      }
+    }
+
+    let instructions = `Build a pre-climb safety briefing for this ${discipline} route:\n${route}\n\n`;
+    instructions += `Use the book excerpts that follow, grouped by topic. Organize the briefing as:\n`;
+    instructions += `1. Gear and partner check\n`;
+    instructions += `2. Anchors, belays and transitions\n`;
+    instructions += `3. Hazards on the climb, each with how to manage it\n`;
+    instructions += `4. Descent, retreat and bail options\n`;
+    instructions += `5. Emergency plan\n\n`;
+    instructions += `Cite the books with the inline citations given in the excerpts. Mark anything that depends on local conditions or route beta the books cannot know, and end with the full bibliographic references.\n`;
+    if (uncovered.length > 0) {
+      instructions += `\nThe extracted chapters say nothing about: ${uncovered.join(', ')}. Cover these from general practice and flag them as not sourced from the books.\n`;
+    }
+
+    return {
+      description: `Safety briefing for a ${discipline} route`,
+      messages: [{ role: 'user', content: { type: 'text', text: instructions } }, ...messages]
+    };
+  }
+
+  async getChapterStudyGuidePrompt(args, extraction = {}) {
+    let bookName;
+    let chapterName;
+    try {
+      bookName = await this.resolveBookName(this.getPromptArgument(args, 'book', true));
+      chapterName = await this.resolveChapterName(bookName, this.getPromptArgument(args, 'chapter', true));
+    } catch (error) {
+      throw error instanceof McpError ? error : new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    const [resource] = await this.readLibraryResource(this.getResourceUri(bookName, chapterName), extraction);
+
+    let instructions = `Write a study guide for the attached chapter, ${this.getChapterTitle(chapterName)}, with:\n`;
+    instructions += `1. The key points, in the chapter's order\n`;
+    instructions += `2. Techniques, each as numbered steps\n`;
+    instructions += `3. Common mistakes and their consequences\n`;
+    instructions += `4. Ten review questions, with answers at the end\n\n`;
+    instructions += `Cite the chapter as ${this.formatInlineCitation(bookName, chapterName)} and end with this reference: ${this.formatCitation(bookName, chapterName)}\n`;
+
+    return {
+      description: `Study guide for ${bookName}/${chapterName}`,
+      messages: [
+        { role: 'user', content: { type: 'text', text: instructions } },
+        { role: 'user', content: { type: 'resource', resource } }
+      ]
+    };
+  }
+
+  async getLibraryNames() {
+    // Book directories and the chapters in each, known from a PDF or a sidecar
+    const library = new Map();
+    const bookDirs = (await fs.readdir(BOOKS_DIR, { withFileTypes: true })).filter(entry => entry.isDirectory());
+    for (const bookDir of bookDirs) {
+      const files = await fs.readdir(path.join(BOOKS_DIR, bookDir.name));
+      const chapters = [...new Set(files
+        .filter(file => /\.(pdf|json)$/i.test(file))
+        .map(file => file.replace(/\.(pdf|json)$/i, '')))];
+      library.set(bookDir.name, chapters.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })));
+    }
+    return new Map([...library].sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  rankCompletions(value, candidates) {
+    // Prefix matches first, then matches at the start of a later word
+    // ("freedom", "avalanche"), then anywhere. Only when nothing matches are
+    // near misses of the typed text against the start of a word offered.
+    const typed = value.trim().toLowerCase();
+    if (!typed) return candidates;
+    const maxDistance = Math.max(1, Math.floor(typed.length / COMPLETION_CONFIG.CHARS_PER_EDIT));
+
+    const ranked = candidates.map((candidate, order) => {
+      const name = candidate.toLowerCase();
+      const wordStarts = [0, ...[...name.matchAll(/[^a-z0-9][a-z0-9]/g)].map(match => match.index + 1)];
+      if (name.startsWith(typed)) return { candidate, order, rank: 0, distance: 0 };
+      if (wordStarts.some(start => name.startsWith(typed, start))) return { candidate, order, rank: 1, distance: 0 };
+      if (name.includes(typed)) return { candidate, order, rank: 2, distance: 0 };
+
+      // Compare against slightly shorter and longer stretches too, so a
+      // dropped or doubled letter counts as a single edit
+      const distance = Math.min(...wordStarts.flatMap(start => [-1, 0, 1].map(extra =>
+        this.editDistance(typed, name.slice(start, start + typed.length + extra), maxDistance))));
+      return { candidate, order, rank: 3, distance };
+    });
+
+    const exact = ranked.some(({ rank }) => rank < 3);
+    return ranked
+      .filter(({ rank, distance }) => rank < 3 || (!exact && distance <= maxDistance))
+      .sort((a, b) => a.rank - b.rank || a.distance - b.distance || a.order - b.order)
+      .map(({ candidate }) => candidate);
+  }
+
+  async completeArgument(name, value, context, { fileNames = false } = {}) {
+    const library = await this.getLibraryNames();
+    const books = [...library.keys()];
+    // Later arguments are completed within the book already chosen, taking
+    // the closest book when it was typed loosely
+    const chosenBook = context.book_name || context.book;
+    const bookName = chosenBook && (library.has(chosenBook) ? chosenBook : this.rankCompletions(chosenBook, books)[0]);
+
+    switch (name) {
+      case 'book':
+      case 'book_name':
+        return this.rankCompletions(value, books);
+
+      case 'books': {
+        // Comma-separated list: complete the last entry and keep the others
+        const entries = value.split(',').map(entry => entry.trim());
+        const last = entries.pop();
+        const remaining = books.filter(book => !entries.includes(book));
+        return this.rankCompletions(last, remaining).map(book => [...entries, book].join(', '));
+      }
+
+      case 'chapter':
+      case 'chapter_name': {
+        if (chosenBook && !bookName) return [];
+        const chapters = (bookName ? library.get(bookName) : [...new Set([...library.values()].flat())])
+          .map(chapter => fileNames ? `${chapter}.pdf` : chapter);
+        return this.rankCompletions(value.replace(/\.pdf$/i, ''), chapters);
+      }
+
+      case 'discipline':
+        return this.rankCompletions(value, CLIMBING_DISCIPLINES);
+
+      case 'from':
+      case 'to': {
+        // Page numbers of an extracted chapter; "to" starts at the chosen "from"
+        const chapter = context.chapter_name || context.chapter;
+        if (!bookName || !chapter) return [];
+        const cached = await this.getCachedContent(bookName, `${chapter.replace(/\.pdf$/i, '')}.pdf`);
+        if (!cached?.totalPages) return [];
+        const first = name === 'to' ? Math.max(1, parseInt(context.from) || 1) : 1;
+        return Array.from({ length: Math.max(0, cached.totalPages - first + 1) }, (_, index) => String(first + index))
+          .filter(page => page.startsWith(value.trim()));
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  normalizeLibraryName(name) {
+    // Word stems, so case, punctuation and plurals do not matter
+    return this.tokenizePhrase(name.replace(/\.(pdf|json)$/i, '')).join(' ');
+  }
+
+  findClosestNames(input, entries, maxDistance = Infinity) {
+    // Distance to the whole name or, one edit worse, to a run of as many of
+    // its words as were typed
+    const typed = this.normalizeLibraryName(input);
+    const typedWords = typed.split(' ').length;
+    const distanceTo = key => {
+      const words = this.normalizeLibraryName(key).split(' ');
+      const windows = words.slice(0, Math.max(1, words.length - typedWords + 1))
+        .map((word, start) => words.slice(start, start + typedWords).join(' '));
+      const whole = words.join(' ');
+      return Math.min(
+        this.editDistance(typed, whole, Math.max(typed.length, whole.length)),
+        ...windows.map(window => this.editDistance(typed, window, Math.max(typed.length, window.length)) + 1)
+      );
+    };
+
+    return entries
+      .map(entry => ({ name: entry.name, distance: Math.min(...entry.keys.filter(Boolean).map(distanceTo)) }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, COMPLETION_CONFIG.CLOSEST_CANDIDATES)
+      .map(({ name }) => name);
+  }
+
+  resolveLibraryName(input, entries, noun, scope = null) {
+    // An exact name (ignoring ".pdf"), else a name that contains the input as
+    // whole words, as long as only one does
+    const typed = this.normalizeLibraryName(input);
+    const exact = entries.filter(entry => entry.keys.some(key => key && this.normalizeLibraryName(key) === typed));
+    const matches = exact.length > 0 ? exact : entries.filter(entry =>
+      entry.keys.some(key => key && ` ${this.normalizeLibraryName(key)} `.includes(` ${typed} `)));
+
+    if (typed && matches.length === 1) return matches[0].name;
+    if (typed && matches.length > 1) {
+      throw new Error(`${noun} "${input}" is ambiguous${scope ? ` in ${scope}` : ''}. It matches: ${matches.map(entry => `"${entry.name}"`).join(', ')}`);
+    }
+    const closest = this.findClosestNames(input, entries);
+    throw new Error(`${noun} "${input}" not found${scope ? ` in ${scope}` : ''}.${closest.length ? ` Closest matches: ${closest.map(name => `"${name}"`).join(', ')}` : ''}`);
+  }
+
+  async resolveBookName(input) {
+    const library = await this.getLibraryNames();
+    const entries = [...library.keys()].map(bookName => ({
+      name: bookName,
+      keys: [bookName, this.getBookMetadata(bookName).title]
+    }));
+    return this.resolveLibraryName(input, entries, 'Book');
+  }
+
+  async resolveChapterName(bookName, input) {
+    // Chapters answer to their file name, sidecar title or generated title,
+    // so "Chapter 10", "Belaying" and "Chapter 10. Belaying" all resolve
+    const library = await this.getLibraryNames();
+    const entries = await Promise.all((library.get(bookName) || []).map(async (baseName) => {
+      const filename = `${baseName}.pdf`;
+      const metadata = await this.getChapterMetadata(bookName, filename);
+      return { name: filename, keys: [baseName, metadata?.title, this.getChapterTitle(filename)] };
+    }));
+    return this.resolveLibraryName(input, entries, 'Chapter', bookName);
+  }
+
+  async resolveToolArguments(args) {
+    const resolved = { ...args };
+    if (args.book_name !== undefined) {
+      resolved.book_name = await this.resolveBookName(args.book_name);
+    }
+    if (args.chapter_name !== undefined) {
+      resolved.chapter_name = await this.resolveChapterName(resolved.book_name, args.chapter_name);
+    }
+    return resolved;
+  }
+
   async run() {
     // Ensure all directories exist
     try {
@@ -1411,11 +5851,43 @@ Available topics in this chapter: ${[...new Set(cached.textChunks.flatMap(c => c
       console.error('Error creating directories:', error);
     }
 
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error('Climbing Resources MCP server running on stdio');
+    try {
+      await this.migrateLegacyCache();
+    } catch (error) {
+      console.error('Error migrating legacy cache files:', error);
+    }
+
+    try {
+      await this.loadSearchIndex();
+    } catch (error) {
+      console.error('Error loading search index:', error);
+    }
+
+    if (HTTP_CONFIG.ENABLED) {
+      await new HttpTransport(() => this.createServer()).startHttpServer();
+    } else {
+      const transport = new StdioServerTransport();
+      await this.createServer().connect(transport);
+      console.error('Climbing Resources MCP server running on stdio');
+    }
+    // Fitting the LSA model and embedding the library can take a while, so it
+    // starts once clients can connect; until it is done semantic search
+    // reports no matches and hybrid results rank by keywords alone
+    this.syncEmbeddings();
+    if (WATCH_CONFIG.ENABLED) this.startWatchers();
   }
 }
 
-const server = new ClimbingResourcesServer();
-server.run().catch(console.error);
\ No newline at end of file
+// Imported by the tests without starting anything; only runs as the entry
+// point or as an extraction worker
+const isEntryPoint = process.argv[1] !== undefined && realpathSync(process.argv[1]) === __filename;
+if (!isMainThread) {
+  new ClimbingResourcesServer().runExtractionWorker();
+} else if (isEntryPoint && process.argv[2] === 'extract-library') {
+  new ClimbingResourcesServer().runExtractLibraryCommand(process.argv.slice(3)).catch(error => {
+    console.error(`Library extraction failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+} else if (isEntryPoint) {
+  new ClimbingResourcesServer().run().catch(console.error);
+}
@@ -0,0 +1,177 @@
+import { createHash } from 'crypto';
+
+// Latent semantic analysis behind the offline 'lsa' embedding provider: a
+// truncated SVD of the library's tf-idf term-chunk matrix, and the folding of
+// new texts into its latent space. Texts arrive already tokenized.
+
+export function fitLsaModel(documents, config) {
+  // Truncated SVD of the tf-idf term-chunk matrix by randomized range
+  // finding (seeded, so the same library always gives the same model).
+  // Each kept term stores its idf and its row of the term basis.
+  const {
+    LSA_VERSION, LSA_DIMENSIONS, LSA_MAX_TERMS, LSA_MIN_DOCUMENT_FREQUENCY,
+    LSA_OVERSAMPLING, LSA_POWER_ITERATIONS, LSA_SEED
+  } = config;
+  const documentFrequency = new Map();
+  documents.forEach(terms => new Set(terms).forEach(term =>
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)));
+
+  // Terms in more than half of all chunks say little about topics
+  const vocabulary = [...documentFrequency]
+    .filter(([term, frequency]) => frequency >= LSA_MIN_DOCUMENT_FREQUENCY && frequency < documents.length / 2)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, LSA_MAX_TERMS)
+    .map(([term]) => term);
+  const termIndex = new Map(vocabulary.map((term, index) => [term, index]));
+  const idf = vocabulary.map(term => Math.log(documents.length / documentFrequency.get(term)));
+  const rows = documents
+    .map(terms => weightLsaTerms(terms, termIndex, idf))
+    .filter(row => row.length > 0);
+
+  const rank = Math.min(LSA_DIMENSIONS, vocabulary.length, rows.length);
+  const sketchSize = Math.min(rank + LSA_OVERSAMPLING, vocabulary.length, rows.length);
+  const random = createSeededRandom(LSA_SEED);
+
+  // Columns are Float64Arrays: rows × sketch for chunk space, terms × sketch for term space
+  const chunkColumns = Array.from({ length: sketchSize }, () => Float64Array.from(rows, () => random() * 2 - 1));
+  let termBasis = orthonormalizeColumns(multiplySparseTransposed(rows, chunkColumns, vocabulary.length));
+  for (let iteration = 0; iteration < LSA_POWER_ITERATIONS; iteration++) {
+    termBasis = orthonormalizeColumns(
+      multiplySparseTransposed(rows, multiplySparse(rows, termBasis), vocabulary.length));
+  }
+
+  // Singular directions within the sketch, from the eigenvectors of
+  // (A Q)ᵀ (A Q), strongest first
+  const projected = multiplySparse(rows, termBasis);
+  const gram = projected.map(left => projected.map(right => dotProduct(left, right)));
+  const { values, vectors } = symmetricEigen(gram);
+  const order = values.map((value, index) => index).sort((a, b) => values[b] - values[a]).slice(0, rank);
+
+  const round = value => Math.round(value * 1e5) / 1e5;
+  const terms = Object.fromEntries(vocabulary.map((term, termNumber) => [term, [
+    round(idf[termNumber]),
+    ...order.map(component => round(termBasis.reduce(
+      (sum, column, sketchIndex) => sum + column[termNumber] * vectors[sketchIndex][component], 0)))
+  ]]));
+  const id = `lsa-${LSA_VERSION}-${createHash('sha1').update(JSON.stringify(terms)).digest('hex').slice(0, 12)}`;
+  return { version: LSA_VERSION, id, dimensions: rank, documentCount: documents.length, terms };
+}
+
+export function weightLsaTerms(terms, termIndex, idf) {
+  // Sparse unit-length row of log-scaled tf-idf weights: [[termIndex, weight]]
+  const counts = new Map();
+  terms.forEach(term => {
+    if (termIndex.has(term)) counts.set(termIndex.get(term), (counts.get(termIndex.get(term)) || 0) + 1);
+  });
+  const row = [...counts].map(([index, count]) => [index, (1 + Math.log(count)) * idf[index]]);
+  const norm = Math.sqrt(row.reduce((sum, [, weight]) => sum + weight * weight, 0));
+  return norm > 0 ? row.map(([index, weight]) => [index, weight / norm]) : [];
+}
+
+export function projectLsaTerms(model, terms) {
+  // Fold a text into the latent space: its tf-idf weights times the term basis
+  const vector = new Array(model.dimensions).fill(0);
+  const counts = new Map();
+  terms.forEach(term => {
+    if (Object.hasOwn(model.terms, term)) counts.set(term, (counts.get(term) || 0) + 1);
+  });
+  counts.forEach((count, term) => {
+    const [idf, ...basis] = model.terms[term];
+    const weight = (1 + Math.log(count)) * idf;
+    basis.forEach((value, dimension) => { vector[dimension] += weight * value; });
+  });
+  return vector;
+}
+
+export function multiplySparse(rows, columns) {
+  // A × columns, with A given as sparse rows
+  return columns.map(column => Float64Array.from(rows, row =>
+    row.reduce((sum, [index, weight]) => sum + weight * column[index], 0)));
+}
+
+export function multiplySparseTransposed(rows, columns, width) {
+  // Aᵀ × columns, with A given as sparse rows
+  return columns.map(column => {
+    const result = new Float64Array(width);
+    rows.forEach((row, rowIndex) => {
+      row.forEach(([index, weight]) => { result[index] += weight * column[rowIndex]; });
+    });
+    return result;
+  });
+}
+
+export function orthonormalizeColumns(columns) {
+  // Modified Gram-Schmidt; columns that collapse to zero are dropped
+  const basis = [];
+  columns.forEach(column => {
+    const vector = Float64Array.from(column);
+    basis.forEach(previous => {
+      const projection = dotProduct(vector, previous);
+      for (let index = 0; index < vector.length; index++) vector[index] -= projection * previous[index];
+    });
+    const norm = Math.sqrt(dotProduct(vector, vector));
+    if (norm > 1e-10) basis.push(vector.map(value => value / norm));
+  });
+  return basis;
+}
+
+export function symmetricEigen(matrix) {
+  // Cyclic Jacobi rotations; returns eigenvalues and eigenvectors as the
+  // columns of `vectors`
+  const size = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const vectors = a.map((row, i) => row.map((value, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let i = 0; i < size; i++) for (let j = i + 1; j < size; j++) offDiagonal += a[i][j] * a[i][j];
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < size; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < size; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < size; k++) {
+          const vkp = vectors[k][p];
+          const vkq = vectors[k][q];
+          vectors[k][p] = c * vkp - s * vkq;
+          vectors[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: a.map((row, index) => row[index]), vectors };
+}
+
+export function createSeededRandom(seed) {
+  // mulberry32: small, fast and reproducible
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function dotProduct(a, b) {
+  let sum = 0;
+  for (let index = 0; index < a.length; index++) sum += a[index] * b[index];
+  return sum;
+}
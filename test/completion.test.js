@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClimbingResourcesServer } from '../src/index.js';
+
+const server = new ClimbingResourcesServer();
+
+test('rankCompletions puts prefix matches before word-start matches before other matches', () => {
+  const books = ['Refresher', 'Self Rescue Freely', 'The Freedom of the Hills', 'Frozen', 'Freedom Climbing'];
+  assert.deepEqual(server.rankCompletions('fre', books),
+    ['Freedom Climbing', 'Self Rescue Freely', 'The Freedom of the Hills', 'Refresher']);
+});
+
+test('rankCompletions offers near misses, closest first, only when nothing matches', () => {
+  const chapters = ['Belaying', 'Avalanche Safety', 'Avalanches and Snowpack', 'Anchors'];
+  assert.deepEqual(server.rankCompletions('avlanche', chapters), ['Avalanche Safety', 'Avalanches and Snowpack']);
+  assert.deepEqual(server.rankCompletions('avalances', chapters), ['Avalanches and Snowpack', 'Avalanche Safety']);
+  assert.deepEqual(server.rankCompletions('zzzz', chapters), []);
+});
+
+test('rankCompletions keeps the candidates in order for an empty value', () => {
+  assert.deepEqual(server.rankCompletions('  ', ['B', 'A']), ['B', 'A']);
+});
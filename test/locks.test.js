@@ -0,0 +1,77 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ClimbingResourcesServer } from '../src/index.js';
+
+let directory;
+let server;
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'climbing-locks-'));
+  server = new ClimbingResourcesServer();
+  server.getCacheFilePath = (bookName, chapterName) =>
+    path.join(directory, bookName, chapterName.replace(/\.pdf$/i, '.json'));
+});
+
+afterEach(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+async function writeAbandonedLock(lockPath, owner) {
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  await fs.writeFile(lockPath, owner);
+  const longAgo = new Date(Date.now() - 10 * 60 * 1000);
+  await fs.utimes(lockPath, longAgo, longAgo);
+}
+
+test('takeOverAbandonedLock removes the abandoned lock', async () => {
+  const lockPath = path.join(directory, 'chapter.lock');
+  await writeAbandonedLock(lockPath, 'crashed');
+  assert.equal(await server.takeOverAbandonedLock(lockPath, 'crashed'), true);
+  assert.deepEqual(await fs.readdir(directory), []);
+});
+
+test('takeOverAbandonedLock puts back a lock that replaced the abandoned one', async () => {
+  const lockPath = path.join(directory, 'chapter.lock');
+  await fs.writeFile(lockPath, 'live');
+  assert.equal(await server.takeOverAbandonedLock(lockPath, 'crashed'), false);
+  assert.deepEqual(await fs.readdir(directory), ['chapter.lock']);
+  assert.equal(await fs.readFile(lockPath, 'utf-8'), 'live');
+});
+
+test('takeOverAbandonedLock lets only one of several waiters claim the lock', async () => {
+  const lockPath = path.join(directory, 'chapter.lock');
+  await writeAbandonedLock(lockPath, 'crashed');
+  const claims = await Promise.all(Array.from({ length: 6 }, () => server.takeOverAbandonedLock(lockPath, 'crashed')));
+  assert.equal(claims.filter(Boolean).length, 1);
+  assert.deepEqual(await fs.readdir(directory), []);
+});
+
+test('acquireExtractionLock takes over an abandoned lock and release removes it', async () => {
+  const lockPath = path.join(directory, 'Book', 'Chapter.lock');
+  await writeAbandonedLock(lockPath, 'crashed');
+  const lock = await server.acquireExtractionLock('Book', 'Chapter.pdf');
+  assert.equal(lock.waited, false);
+  assert.notEqual(await fs.readFile(lockPath, 'utf-8'), 'crashed');
+  await lock.release();
+  assert.deepEqual(await fs.readdir(path.dirname(lockPath)), []);
+});
+
+test('release leaves alone a lock that another process has taken over', async () => {
+  const lockPath = path.join(directory, 'Book', 'Chapter.lock');
+  const lock = await server.acquireExtractionLock('Book', 'Chapter.pdf');
+  await fs.writeFile(lockPath, 'another process');
+  await lock.release();
+  assert.equal(await fs.readFile(lockPath, 'utf-8'), 'another process');
+});
+
+test('acquireExtractionLock waits for a live lock to be released', async () => {
+  const first = await server.acquireExtractionLock('Book', 'Chapter.pdf');
+  const second = server.acquireExtractionLock('Book', 'Chapter.pdf');
+  setTimeout(() => first.release(), 100);
+  const lock = await second;
+  assert.equal(lock.waited, true);
+  await lock.release();
+});
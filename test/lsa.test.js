@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fitLsaModel, projectLsaTerms, orthonormalizeColumns, symmetricEigen, createSeededRandom, dotProduct
+} from '../src/lsa.js';
+
+const config = {
+  LSA_VERSION: 1,
+  LSA_DIMENSIONS: 2,
+  LSA_MAX_TERMS: 100,
+  LSA_MIN_DOCUMENT_FREQUENCY: 2,
+  LSA_OVERSAMPLING: 2,
+  LSA_POWER_ITERATIONS: 2,
+  LSA_SEED: 1
+};
+
+// Two topics that never share a word, plus filler terms too rare to keep
+const documents = [
+  ['rope', 'belay', 'anchor', 'one'],
+  ['rope', 'belay', 'carabiner', 'two'],
+  ['belay', 'anchor', 'carabiner', 'three'],
+  ['rope', 'anchor', 'carabiner'],
+  ['crimp', 'sloper', 'campus', 'four'],
+  ['crimp', 'sloper', 'hangboard', 'five'],
+  ['sloper', 'campus', 'hangboard'],
+  ['crimp', 'campus', 'hangboard', 'six']
+];
+
+const cosine = (a, b) => dotProduct(a, b) / Math.sqrt(dotProduct(a, a) * dotProduct(b, b));
+
+test('symmetricEigen diagonalizes a symmetric matrix', () => {
+  const { values, vectors } = symmetricEigen([[2, 1], [1, 2]]);
+  assert.deepEqual(values.map(value => Math.round(value * 1e9) / 1e9).sort(), [1, 3]);
+  const strongest = values[0] > values[1] ? 0 : 1;
+  assert.ok(Math.abs(Math.abs(vectors[0][strongest]) - Math.SQRT1_2) < 1e-9);
+  assert.ok(Math.abs(vectors[0][strongest] - vectors[1][strongest]) < 1e-9);
+});
+
+test('orthonormalizeColumns returns unit, orthogonal columns and drops dependent ones', () => {
+  const basis = orthonormalizeColumns([[1, 1, 0], [2, 2, 0], [1, 0, 1]]);
+  assert.equal(basis.length, 2);
+  basis.forEach(column => assert.ok(Math.abs(dotProduct(column, column) - 1) < 1e-9));
+  assert.ok(Math.abs(dotProduct(basis[0], basis[1])) < 1e-9);
+});
+
+test('createSeededRandom repeats its sequence for the same seed', () => {
+  const first = createSeededRandom(42);
+  const second = createSeededRandom(42);
+  const values = Array.from({ length: 5 }, () => first());
+  assert.deepEqual(Array.from({ length: 5 }, () => second()), values);
+  values.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('fitLsaModel is reproducible and keeps only terms shared by several chunks', () => {
+  const model = fitLsaModel(documents, config);
+  assert.deepEqual(fitLsaModel(documents, config), model);
+  assert.match(model.id, /^lsa-1-[0-9a-f]{12}$/);
+  assert.equal(model.dimensions, 2);
+  assert.equal(model.documentCount, documents.length);
+  assert.deepEqual(Object.keys(model.terms).sort(),
+    ['anchor', 'belay', 'campus', 'carabiner', 'crimp', 'hangboard', 'rope', 'sloper']);
+});
+
+test('projectLsaTerms places texts on the same topic close together', () => {
+  const model = fitLsaModel(documents, config);
+  const ropework = projectLsaTerms(model, ['rope', 'anchor']);
+  const belaying = projectLsaTerms(model, ['belay', 'carabiner']);
+  const training = projectLsaTerms(model, ['crimp', 'hangboard']);
+  assert.ok(cosine(ropework, belaying) > 0.9);
+  assert.ok(Math.abs(cosine(ropework, training)) < 0.1);
+  assert.deepEqual(projectLsaTerms(model, ['unknown']), [0, 0]);
+});
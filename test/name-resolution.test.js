@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClimbingResourcesServer } from '../src/index.js';
+
+const server = new ClimbingResourcesServer();
+
+const chapters = [
+  ['Chapter 8. SERENE Anchors.pdf', 'SERENE Anchors'],
+  ['Chapter 9. Bolted Anchors.pdf', 'Bolted Anchors'],
+  ['Chapter 10. Belaying.pdf', 'Belaying'],
+  ['Chapter 12. Rappelling.pdf', 'Rappelling']
+].map(([name, title]) => ({ name, keys: [name.replace(/\.pdf$/, ''), title] }));
+
+const resolve = input => server.resolveLibraryName(input, chapters, 'Chapter', 'Freedom');
+
+test('resolveLibraryName takes exact names with or without .pdf, and titles', () => {
+  assert.equal(resolve('Chapter 10. Belaying'), 'Chapter 10. Belaying.pdf');
+  assert.equal(resolve('chapter 10. belaying.pdf'), 'Chapter 10. Belaying.pdf');
+  assert.equal(resolve('Bolted Anchors'), 'Chapter 9. Bolted Anchors.pdf');
+});
+
+test('resolveLibraryName takes whole words that only one name contains', () => {
+  assert.equal(resolve('serene'), 'Chapter 8. SERENE Anchors.pdf');
+  assert.equal(resolve('rappelling'), 'Chapter 12. Rappelling.pdf');
+});
+
+test('resolveLibraryName reports names that match several entries', () => {
+  assert.throws(() => resolve('anchors'), {
+    message: 'Chapter "anchors" is ambiguous in Freedom. It matches: "Chapter 8. SERENE Anchors.pdf", "Chapter 9. Bolted Anchors.pdf"'
+  });
+});
+
+test('resolveLibraryName lists the closest names when nothing matches', () => {
+  assert.throws(() => resolve('rapelling'), /^Error: Chapter "rapelling" not found in Freedom\. Closest matches: "Chapter 12\. Rappelling\.pdf"/);
+});
+
+test('resolveChapterName resolves within the chosen book', async () => {
+  const library = new ClimbingResourcesServer();
+  library.getLibraryNames = async () => new Map([
+    ['Freedom', ['Chapter 10. Belaying']],
+    ['Rock', ['Chapter 2. Belaying']]
+  ]);
+  assert.equal(await library.resolveChapterName('Rock', 'belaying'), 'Chapter 2. Belaying.pdf');
+  await assert.rejects(library.resolveChapterName('Rock', 'rappelling'), /Chapter "rappelling" not found in Rock/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { ClimbingResourcesServer } from '../src/index.js';
+
+function createLibrary(chapters) {
+  // A search corpus held in memory, without PDFs, caches or embeddings
+  const library = new ClimbingResourcesServer();
+  const entries = Object.fromEntries(Object.entries(chapters).map(([key, chunkTexts]) => {
+    const [book, chapterName] = key.split('/');
+    const textChunks = chunkTexts.map((text, id) => ({ id, text }));
+    const cached = { chapterName, textChunks, searchIndex: library.createSearchIndex('', textChunks) };
+    return [key, library.createSearchIndexEntry(book, chapterName, cached, null, null)];
+  }));
+  library.searchIndexEntries = entries;
+  library.searchCorpus = library.computeCorpusStatistics(Object.values(entries));
+  library.embeddingProvider = null;
+  return library;
+}
+
+const isInvalidParams = pattern => error => error.code === ErrorCode.InvalidParams && pattern.test(error.message);
+
+test('prompts reject missing arguments and unknown disciplines', async () => {
+  const library = createLibrary({});
+  await assert.rejects(library.getExplainTechniquePrompt({ technique: '  ' }),
+    isInvalidParams(/Missing required prompt argument: technique/));
+  await assert.rejects(library.getSafetyBriefingPrompt({ route: 'Royal Arches', discipline: 'bouldering' }),
+    isInvalidParams(/Unknown discipline "bouldering"/));
+});
+
+test('explain_technique gives excerpts from the books that cover it and names the others', async () => {
+  const library = createLibrary({
+    'Freedom/Belaying.pdf': ['set up a redirect through the anchor to belay the second'],
+    'Rock/Bouldering.pdf': ['spot the climber and place pads under the problem']
+  });
+  const prompt = await library.getExplainTechniquePrompt({ technique: 'belay: redirect' });
+  const texts = prompt.messages.map(message => message.content.text);
+  assert.equal(texts.length, 3);
+  assert.match(texts[1], /^EXCERPTS FROM Freedom:/);
+  assert.match(texts[1], /redirect through the anchor/);
+  assert.equal(texts[2], 'No extracted chapters of Rock mention this technique.');
+});
+
+test('compare_books notes when fewer than two books cover the topic', async () => {
+  const library = createLibrary({
+    'Freedom/Anchors.pdf': ['equalize the anchor with a cordelette'],
+    'Rock/Ropes.pdf': ['coil the rope after the climb']
+  });
+  const prompt = await library.getCompareBooksPrompt({ topic: 'cordelette' });
+  assert.match(prompt.messages[0].content.text, /Fewer than two books cover this topic/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { ClimbingResourcesServer } from '../src/index.js';
+
+const server = new ClimbingResourcesServer();
+
+test('parseResourceUri reads books, chapters, page ranges and PDFs', () => {
+  assert.deepEqual(server.parseResourceUri('climbing://Freedom'), { bookName: 'Freedom', chapterName: null });
+  assert.deepEqual(server.parseResourceUri('climbing://Freedom/Chapter%2010.%20Belaying'),
+    { bookName: 'Freedom', chapterName: 'Chapter 10. Belaying.pdf' });
+  assert.deepEqual(server.parseResourceUri('climbing://Freedom/Anchors/pages/2-5'),
+    { bookName: 'Freedom', chapterName: 'Anchors.pdf', pages: { from: 2, to: 5 } });
+  assert.deepEqual(server.parseResourceUri('climbing://Freedom/Anchors/pdf'),
+    { bookName: 'Freedom', chapterName: 'Anchors.pdf', pdf: true });
+});
+
+test('parseResourceUri keeps book and chapter names inside Books/', () => {
+  [
+    'climbing://..',
+    'climbing://../secrets',
+    'climbing://Freedom/..',
+    'climbing://%2E%2E/Anchors',
+    'climbing://Freedom/..%2F..%2Fetc%2Fpasswd',
+    'climbing://Freedom%2F..%2F..',
+    'climbing://Freedom/Anchors%5Cpdf',
+    'climbing://Freedom//pdf',
+    'file:///etc/passwd'
+  ].forEach(uri => assert.throws(() => server.parseResourceUri(uri),
+    error => error.code === ErrorCode.InvalidParams && /Invalid resource URI/.test(error.message), uri));
+});
+
+test('parseResourceUri rejects malformed views and page ranges', () => {
+  ['climbing://Freedom/Anchors/pages', 'climbing://Freedom/Anchors/pages/2', 'climbing://Freedom/Anchors/text', 'climbing://Freedom/%E0']
+    .forEach(uri => assert.throws(() => server.parseResourceUri(uri), /Invalid resource URI/, uri));
+});
+
+test('readLibraryResource returns page ranges and rejects ranges outside the chapter', async () => {
+  const library = new ClimbingResourcesServer();
+  const cached = { text: 'one\ntwo\nthree', totalPages: 3, pageData: { 1: 'one', 2: 'two', 3: 'three' } };
+  library.getCachedContent = async () => cached;
+  library.refreshStaleCache = async () => cached;
+
+  const [contents] = await library.readLibraryResource('climbing://Freedom/Anchors/pages/2-3');
+  assert.equal(contents.text, 'two\nthree');
+
+  for (const range of ['0-1', '2-4', '3-2']) {
+    await assert.rejects(library.readLibraryResource(`climbing://Freedom/Anchors/pages/${range}`), error =>
+      error.code === ErrorCode.InvalidParams && error.message.includes(`Invalid page range ${range}: Anchors.pdf has pages 1-3`));
+  }
+});
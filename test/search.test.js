@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClimbingResourcesServer } from '../src/index.js';
+
+const server = new ClimbingResourcesServer();
+
+function createEntry(book, chapterName, chunkTexts, metadata = null) {
+  const textChunks = chunkTexts.map((text, id) => ({ id, text }));
+  const cached = {
+    chapterName,
+    extractedAt: '2024-01-01T00:00:00.000Z',
+    textChunks,
+    searchIndex: server.createSearchIndex(chunkTexts.join('\n'), textChunks)
+  };
+  return server.createSearchIndexEntry(book, chapterName, cached, metadata, null);
+}
+
+function search(corpus, query) {
+  const queryTree = server.expandQueryTree(server.parseSearchQuery(query), null);
+  return server.scoreChunks(corpus, server.getScoringConcepts(queryTree), { queryTree })
+    .map(hit => `${hit.chapter.chapterName}#${hit.chunk.id}`);
+}
+
+test('scoreChunks ranks by term frequency and favours shorter chunks', () => {
+  const filler = 'granite slab crack ledge summit approach';
+  const corpus = server.computeCorpusStatistics([
+    createEntry('Book', 'A.pdf', [
+      'anchor anchor anchor placed above the ledge',
+      `anchor placed above the ledge ${filler}`,
+      `anchor placed above the ledge ${filler} ${filler} ${filler}`,
+      'a chunk about something else entirely'
+    ])
+  ]);
+  assert.deepEqual(search(corpus, 'anchor'), ['A.pdf#0', 'A.pdf#1', 'A.pdf#2']);
+});
+
+test('scoreChunks weights rare terms above common ones', () => {
+  const corpus = server.computeCorpusStatistics([
+    createEntry('Book', 'A.pdf', [
+      'rope rope on the wall',
+      'rope and a cordelette cordelette',
+      'rope at the crag',
+      'rope in the bag'
+    ])
+  ]);
+  const [best] = search(corpus, 'rope cordelette');
+  assert.equal(best, 'A.pdf#1');
+});
+
+test('scoreChunks ranks every chunk of a chapter whose metadata matches', () => {
+  const corpus = server.computeCorpusStatistics([
+    createEntry('Book', 'Knots.pdf', ['tie the rope to your harness', 'dress and set it'], { title: 'Knots' }),
+    createEntry('Book', 'Walls.pdf', ['knots are covered elsewhere', 'bolts and hangers'])
+  ]);
+  const hits = search(corpus, 'knots');
+  assert.deepEqual(hits.slice(0, 2).sort(), ['Knots.pdf#0', 'Knots.pdf#1']);
+  assert.deepEqual(hits.slice(2), ['Walls.pdf#0']);
+});
+
+test('updateCorpusStatistics gives the same statistics as recounting the library', () => {
+  const first = createEntry('Book', 'A.pdf', ['anchor and bolt', 'rope'], { title: 'Anchors' });
+  const second = createEntry('Book', 'B.pdf', ['rope and harness', 'anchor'], { keywords: ['harness'] });
+  const replaced = createEntry('Book', 'A.pdf', ['cam and nut'], { title: 'Protection' });
+
+  const snapshot = corpus => ({
+    documentCount: corpus.documentCount,
+    fieldLengths: corpus.fieldLengths,
+    documentFrequency: Object.fromEntries([...corpus.documentFrequency].sort())
+  });
+  const original = server.computeCorpusStatistics([first, second]);
+  const updated = server.updateCorpusStatistics(original, 'Book/A.pdf', replaced);
+  assert.deepEqual(snapshot(updated), snapshot(server.computeCorpusStatistics([second, replaced])));
+  assert.deepEqual(snapshot(server.updateCorpusStatistics(updated, 'Book/A.pdf', null)),
+    snapshot(server.computeCorpusStatistics([second])));
+  // The corpus a search started with is left as it was
+  assert.deepEqual(snapshot(original), snapshot(server.computeCorpusStatistics([first, second])));
+});
+
+test('expandQuery matches thesaurus phrases and adds their synonyms at reduced weight', () => {
+  const [abseil] = server.expandQuery('abseil');
+  assert.deepEqual(abseil.alternatives.map(({ text, kind }) => [text, kind]), [['abseil', 'query'], ['rappel', 'synonym']]);
+  assert.ok(abseil.alternatives[1].weight < abseil.alternatives[0].weight);
+
+  const concepts = server.expandQuery('belay device anchor');
+  assert.deepEqual(concepts.map(concept => concept.text), ['belay device', 'anchor']);
+});
+
+test('scoreChunks finds synonyms but ranks the query word first', () => {
+  const corpus = server.computeCorpusStatistics([
+    createEntry('Book', 'A.pdf', ['rappel to the ground', 'abseil to the ground', 'walk off the back'])
+  ]);
+  assert.deepEqual(search(corpus, 'abseil'), ['A.pdf#1', 'A.pdf#0']);
+});
+
+test('stemTerm folds plurals and -ed/-ing forms onto one term', () => {
+  assert.deepEqual(
+    ['belayed', 'belaying', 'belays', 'equalized', 'clipping', 'rappelled', 'placed'].map(term => server.stemTerm(term)),
+    ['belay', 'belay', 'belay', 'equalize', 'clip', 'rappel', 'place']
+  );
+  assert.equal(server.stemTerm('atc'), 'atc');
+  assert.equal(server.stemTerm('nut'), 'nut');
+});
+
+test('tokenizeForSearch drops stopwords and possessives', () => {
+  assert.deepEqual(server.tokenizeForSearch("The climber's ropes were belayed"), ['climber', 'rope', 'were', 'belay']);
+});
+
+test('expandQuery corrects words missing from the vocabulary but not acronyms', () => {
+  const vocabulary = new Map([['anchor', 20], ['rappel', 10], ['atc', 5]]);
+  const [misspelt] = server.expandQuery('anchr', vocabulary);
+  assert.deepEqual(misspelt.alternatives.map(({ text, kind }) => [text, kind]), [['anchr', 'query'], ['anchor', 'spelling']]);
+  const [acronym] = server.expandQuery('ANCHR', vocabulary);
+  assert.deepEqual(acronym.alternatives.map(({ kind }) => kind), ['query']);
+});
+
+test('editDistance counts an adjacent swap as one edit and gives up past the limit', () => {
+  assert.equal(server.editDistance('anhcor', 'anchor', 2), 1);
+  assert.equal(server.editDistance('belay', 'relay', 2), 1);
+  assert.equal(server.editDistance('rope', 'harness', 2), 3);
+});
+
+test('parseSearchQuery binds NOT tighter than AND, AND tighter than terms, and OR loosest', () => {
+  const tree = server.parseSearchQuery('anchor OR bolt AND NOT "sport climbing" keyword:knots');
+  assert.equal(tree.type, 'or');
+  assert.equal(tree.children[0].text, 'anchor');
+  const [and, field] = tree.children[1].children;
+  assert.equal(tree.children[1].type, 'sequence');
+  assert.equal(and.type, 'and');
+  assert.deepEqual(and.children[1], {
+    type: 'not',
+    child: { type: 'term', text: 'sport climbing', phrase: true, field: null, position: 23 }
+  });
+  assert.deepEqual(field, { type: 'term', text: 'knots', phrase: false, field: 'keyword', position: 40 });
+});
+
+test('parseSearchQuery reports where malformed queries go wrong', () => {
+  assert.throws(() => server.parseSearchQuery('(anchor'), /Missing "\)" for the "\(" at character 1/);
+  assert.throws(() => server.parseSearchQuery('anchor section:'), /Missing value after "section:" at character 8/);
+  assert.throws(() => server.parseSearchQuery('"open'), /Unclosed quote at character 1/);
+  assert.throws(() => server.parseSearchQuery('anchor OR'), /found the end of the query/);
+  assert.throws(() => server.parseSearchQuery('  '), /The query is empty/);
+});
+
+test('parseSearchQuery reads a colon after any other word as plain text', () => {
+  assert.deepEqual(server.parseSearchQuery('Warning: rockfall'), {
+    type: 'sequence',
+    children: [
+      { type: 'term', text: 'Warning:', phrase: false, field: null, position: 0 },
+      { type: 'term', text: 'rockfall', phrase: false, field: null, position: 9 }
+    ]
+  });
+  const tree = server.expandQueryTree(server.parseSearchQuery('belay: redirect'), null);
+  assert.deepEqual(server.getScoringConcepts(tree).map(concept => concept.text), ['belay', 'redirect']);
+});
+
+test('scoreChunks applies phrases, NOT and field filters', () => {
+  const corpus = server.computeCorpusStatistics([
+    createEntry('Book', 'Knots.pdf', ['tie the rope to your harness'], { title: 'Knots', keywords: ['figure eight'] }),
+    createEntry('Book', 'Walls.pdf', ['sport climbing on bolts', 'trad climbing with nuts and sport routes'])
+  ]);
+  assert.deepEqual(search(corpus, 'rope chapter:walls'), []);
+  assert.deepEqual(search(corpus, 'climbing keyword:"figure eight"'), []);
+  assert.deepEqual(search(corpus, 'rope keyword:"figure eight"'), ['Knots.pdf#0']);
+  assert.deepEqual(search(corpus, '"sport climbing"'), ['Walls.pdf#0']);
+  assert.deepEqual(search(corpus, 'climbing NOT trad'), ['Walls.pdf#0']);
+});
+
+test('searchContent ranks text with a colon after an ordinary word like any other text', async () => {
+  const library = new ClimbingResourcesServer();
+  const entry = createEntry('Book', 'Hazards.pdf', ['loose blocks are a warning sign of rockfall', 'clip the next bolt']);
+  library.searchIndexEntries = { 'Book/Hazards.pdf': entry };
+  library.searchCorpus = library.computeCorpusStatistics([entry]);
+  library.embeddingProvider = null;
+
+  const result = await library.searchContent('Warning: rockfall', 5);
+  assert.ok(!result.isError, result.content[0].text);
+  assert.deepEqual(result.structuredContent.results.map(hit => hit.chapter), ['Hazards.pdf']);
+  assert.ok(!result.content[0].text.includes('Query interpreted as'));
+});
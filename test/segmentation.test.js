@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClimbingResourcesServer } from '../src/index.js';
+
+const server = new ClimbingResourcesServer();
+
+// Word costs are negative log frequencies; cheaper words are commoner
+const lexicon = {
+  costs: new Map([
+    ['the', 1], ['how', 2], ['side', 3], ['work', 3], ['place', 4],
+    ['belay', 5], ['placement', 5], ['belays', 6], ['cement', 6], ['set', 3], ['an', 2], ['oblique', 7], ['hole', 4]
+  ]),
+  maxWordLength: 9,
+  singletonCost: 12,
+  unknownCost: 15
+};
+
+test('segmentRun finds the cheapest split into known words', () => {
+  assert.deepEqual(server.segmentRun('sideplacement', lexicon), { words: ['side', 'placement'], cost: 8 });
+});
+
+test('segmentRun keeps the original case of the letters', () => {
+  assert.deepEqual(server.segmentRun('HOWBELAYS', lexicon).words, ['HOW', 'BELAYS']);
+});
+
+test('segmentWords repairs squashed and letter-spaced words', () => {
+  assert.deepEqual(server.segmentWords('the sidepla cement\nH O W B E L A Y S work', lexicon), {
+    text: 'the side placement\nHOW BELAYS work',
+    unresolved: []
+  });
+});
+
+test('segmentWords leaves a stray letter between intact words alone', () => {
+  assert.equal(server.segmentWords('set m an oblique hole', lexicon).text, 'set m an oblique hole');
+});
+
+test('segmentWords reports damaged words it cannot resolve', () => {
+  const result = server.segmentWords('the xqzvbk work', lexicon);
+  assert.equal(result.text, 'the xqzvbk work');
+  assert.deepEqual(result.unresolved, ['xqzvbk']);
+});